@@ -0,0 +1,23 @@
+// Frequently used passwords that the password policy rejects regardless of
+// their length or character classes. Compared case-insensitively.
+module.exports = [
+  '123456', '123456789', '12345678', '1234567890', '12345', '1234567',
+  '111111', '000000', '123123', '654321', '666666', '121212', '112233',
+  '123321', '987654321', '1q2w3e4r', '1q2w3e4r5t', 'qwerty', 'qwerty123',
+  'qwertyuiop', 'qwerty1', 'asdfghjkl', 'zxcvbnm', '1qaz2wsx', 'qazwsx',
+  'password', 'password1', 'password12', 'password123', 'password1234',
+  'passw0rd', 'p@ssw0rd', 'p@ssword', 'pa$$word', 'letmein', 'letmein123',
+  'welcome', 'welcome1', 'welcome123', 'admin', 'admin1', 'admin123',
+  'admin1234', 'administrator', 'root', 'toor', 'changeme', 'changeme123',
+  'default', 'guest', 'test', 'test123', 'testing', 'secret', 'secret123',
+  'iloveyou', 'monkey', 'dragon', 'master', 'sunshine', 'princess',
+  'football', 'baseball', 'shadow', 'superman', 'batman', 'trustno1',
+  'abc123', 'abcd1234', 'abcdef', 'aa123456', 'a123456', 'azerty',
+  'login', 'starwars', 'whatever', 'freedom', 'hello', 'hello123',
+  'michael', 'jennifer', 'charlie', 'computer', 'internet', 'summer',
+  'winter', 'spring', 'autumn', 'january', 'december', 'court', 'court123',
+  'courthouse', 'judiciary', 'judiciary1', 'judiciary123', 'justice',
+  'justice1', 'justice123', 'magistrate', 'magistrate1', 'circuit',
+  'circuit123', 'magisterial', 'magisterial123', 'staff', 'staff123',
+  'clerk', 'clerk123', 'judge', 'judge123'
+];
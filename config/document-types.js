@@ -0,0 +1,39 @@
+// Kinds of documents that can be attached to staff records, and the file
+// types accepted for them
+const DOCUMENT_TYPES = {
+  appointment_letter: {
+    description: 'Appointment letter'
+  },
+  certificate: {
+    description: 'Certificate or qualification'
+  },
+  id_copy: {
+    description: 'Copy of identity document'
+  },
+  dismissal_order: {
+    description: 'Dismissal order'
+  },
+  other: {
+    description: 'Other document'
+  }
+};
+
+// Accepted file types, with the leading bytes (in hex) a file of each
+// type starts with. Word .docx files are ZIP archives and .doc files OLE
+// compound files.
+const DOCUMENT_SIGNATURES = {
+  'application/pdf': ['25504446'],
+  'image/jpeg': ['ffd8ff'],
+  'image/png': ['89504e470d0a1a0a'],
+  'image/tiff': ['49492a00', '4d4d002a'],
+  'application/msword': ['d0cf11e0a1b11ae1'],
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['504b0304']
+};
+
+const DOCUMENT_MIME_TYPES = Object.keys(DOCUMENT_SIGNATURES);
+
+module.exports = {
+  DOCUMENT_TYPES,
+  DOCUMENT_SIGNATURES,
+  DOCUMENT_MIME_TYPES
+};
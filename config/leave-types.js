@@ -0,0 +1,24 @@
+// Leave types and the number of working days each staff member is entitled
+// to per calendar year unless an individual entitlement is recorded
+const LEAVE_TYPES = {
+  annual: {
+    description: 'Annual leave',
+    defaultDays: 21
+  },
+  sick: {
+    description: 'Sick leave',
+    defaultDays: 10
+  },
+  maternity: {
+    description: 'Maternity leave',
+    defaultDays: 90
+  },
+  study: {
+    description: 'Study leave',
+    defaultDays: 10
+  }
+};
+
+module.exports = {
+  LEAVE_TYPES
+};
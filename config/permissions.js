@@ -0,0 +1,89 @@
+// Registry of every permission the API checks, and the default roles.
+// Roles are stored in the database and can be edited by administrators;
+// the defaults below are only used to create them the first time, except
+// that the admin role is always granted every registered permission.
+
+const PERMISSIONS = {
+  'staff:read': 'View staff records',
+  'staff:read:salary': 'View staff salaries',
+  'staff:create': 'Add staff members',
+  'staff:update': 'Edit staff records',
+  'staff:update:salary': 'Change staff salaries',
+  'staff:update:status': 'Change employment status (leave, retirement)',
+  'staff:dismiss': 'Dismiss staff members',
+  'staff:delete': 'Move staff records to the trash and restore them',
+  'staff:purge': 'Permanently delete staff records from the trash',
+  'staff:merge': 'Review suspected duplicate staff records and merge them',
+  'staff:transfer': 'Transfer staff to another court',
+  'staff:transfer:approve': 'Approve or reject transfers into a court',
+  'leave:request': 'Request and cancel leave for staff',
+  'leave:approve': 'Approve or reject leave requests',
+  'leave:manage': 'Set leave entitlements',
+  'position:manage': 'Manage the position catalog',
+  'payscale:manage': 'Manage pay scales and apply salary increments',
+  'court:read': 'View courts',
+  'court:create': 'Create courts',
+  'court:update': 'Edit courts',
+  'court:delete': 'Deactivate courts',
+  'user:read': 'View user accounts',
+  'user:manage': 'Create, edit and deactivate user accounts',
+  'role:manage': 'Create and edit roles',
+  'apikey:manage': 'Issue and revoke API keys for integrations',
+  'security:manage': 'Manage security policy, sessions, lockouts and two-factor resets',
+  'job:manage': 'Inspect and run background jobs'
+};
+
+// Permissions API keys never carry: with any of them a key could create
+// or promote an account, or mint more keys, and so escalate past its scopes
+const SERVICE_DENIED_PERMISSIONS = ['apikey:manage', 'user:manage', 'role:manage', 'security:manage'];
+
+// How far a role reaches across courts:
+//   all     - every court
+//   circuit - the user's circuit court and the magisterial courts under it
+//   court   - the user's own court only
+const COURT_SCOPES = ['all', 'circuit', 'court'];
+
+const DEFAULT_ROLES = [
+  {
+    name: 'admin',
+    description: 'System administrator',
+    courtScope: 'all',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  {
+    name: 'circuit',
+    description: 'Circuit court account',
+    courtScope: 'circuit',
+    permissions: [
+      'staff:read',
+      'staff:create',
+      'staff:update',
+      'staff:update:status',
+      'staff:transfer',
+      'staff:transfer:approve',
+      'leave:request',
+      'leave:approve',
+      'court:read',
+      'court:create'
+    ]
+  },
+  {
+    name: 'magisterial',
+    description: 'Magisterial court account',
+    courtScope: 'court',
+    permissions: [
+      'staff:read',
+      'staff:create',
+      'staff:update',
+      'staff:update:status',
+      'court:read'
+    ]
+  }
+];
+
+module.exports = {
+  PERMISSIONS,
+  COURT_SCOPES,
+  SERVICE_DENIED_PERMISSIONS,
+  DEFAULT_ROLES
+};
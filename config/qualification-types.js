@@ -0,0 +1,13 @@
+// Kinds of qualifications recorded for staff
+const QUALIFICATION_TYPES = {
+  degree: {
+    description: 'Degree, diploma or other academic award'
+  },
+  certification: {
+    description: 'Professional certification or license'
+  }
+};
+
+module.exports = {
+  QUALIFICATION_TYPES
+};
@@ -0,0 +1,7 @@
+// Currency used for salaries and pay scales unless another is given
+// (ISO 4217 code)
+const DEFAULT_CURRENCY = process.env.SALARY_CURRENCY || 'USD';
+
+module.exports = {
+  DEFAULT_CURRENCY
+};
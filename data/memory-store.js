@@ -1,5 +1,5 @@
 // In-memory data store for development when MongoDB is not available
-const bcrypt = require('bcryptjs');
+const { hashPassword } = require('../services/credential-service');
 
 class MemoryStore {
   constructor() {
@@ -20,7 +20,7 @@ class MemoryStore {
       {
         id: this.generateId(),
         username: 'admin',
-        password: await bcrypt.hash('admin123', 10),
+        password: await hashPassword('admin123'),
         role: 'admin',
         name: 'System Administrator',
         isActive: true
@@ -148,7 +148,7 @@ class MemoryStore {
     const user = {
       id: this.generateId(),
       ...userData,
-      password: await bcrypt.hash(userData.password, 10),
+      password: await hashPassword(userData.password),
       isActive: true
     };
     this.users.push(user);
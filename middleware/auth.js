@@ -1,9 +1,58 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Court = require('../models/Court');
+const ApiKey = require('../models/ApiKey');
+const { isSessionActive } = require('../services/token-service');
+const { getRole, hasPermission } = require('../services/permission-service');
+const { SERVICE_DENIED_PERMISSIONS } = require('../config/permissions');
 
-// Middleware to authenticate JWT token
+// Authenticate an integration by API key and describe it as a service
+// principal, so routes can treat it like a user with the key's scopes
+const authenticateApiKey = async (req, res, next, key) => {
+  const apiKey = await ApiKey.findByKey(key);
+  if (!apiKey || !apiKey.isActive()) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired API key'
+    });
+  }
+
+  // Record usage, at most once a minute to avoid a write per request
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > 60 * 1000) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: new Date(), lastUsedIp: req.ip }
+    );
+  }
+
+  req.user = {
+    userId: null,
+    username: `apikey:${apiKey.prefix}`,
+    role: 'service',
+    name: apiKey.name,
+    principalType: 'service',
+    apiKeyId: apiKey._id.toString(),
+    courtId: apiKey.courtId ? apiKey.courtId.toString() : null,
+    sessionId: null,
+    // Keys issued before these were refused lose them here
+    permissions: apiKey.scopes.filter(scope => !SERVICE_DENIED_PERMISSIONS.includes(scope)),
+    courtScope: apiKey.courtScope
+  };
+  req.user.courtIds = await Court.getAccessibleCourtIds(apiKey, apiKey.courtScope);
+
+  next();
+};
+
+// Middleware to authenticate a Bearer JWT or an X-API-Key header
 const authenticateToken = async (req, res, next) => {
   try {
+    // Integrations authenticate with an API key instead of a user token
+    const apiKeyHeader = req.headers['x-api-key'];
+    if (apiKeyHeader) {
+      return await authenticateApiKey(req, res, next, apiKeyHeader);
+    }
+
     const authHeader = req.headers.authorization;
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -16,6 +65,14 @@ const authenticateToken = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Reject tokens whose session has been logged out or revoked
+    if (!(await isSessionActive(decoded.sessionId))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked'
+      });
+    }
     
     // Check if user still exists and is active
     const user = await User.findById(decoded.userId);
@@ -26,15 +83,31 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Resolve the permissions and court scope granted by the user's role
+    const role = await getRole(user.role);
+    if (!role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied - role is not configured'
+      });
+    }
+
     // Add user info to request object
     req.user = {
       userId: user._id.toString(),
       username: user.username,
       role: user.role,
       name: user.name,
-      circuitCourtId: user.circuitCourtId
+      principalType: 'user',
+      courtId: user.courtId ? user.courtId.toString() : null,
+      sessionId: decoded.sessionId,
+      permissions: role.permissions,
+      courtScope: role.courtScope
     };
 
+    // Courts this user may see and manage (null when unrestricted)
+    req.user.courtIds = await Court.getAccessibleCourtIds(user, role.courtScope);
+
     next();
   } catch (error) {
     console.error('Token authentication error:', error);
@@ -60,40 +133,57 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-// Middleware to require specific roles
-const requireRole = (allowedRoles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Authentication required'
-      });
-    }
+// Check if the authenticated user has access to a court
+const canAccessCourt = (user, courtId) => {
+  if (!user) {
+    return false;
+  }
+  if (user.courtScope === 'all') {
+    return true;
+  }
+  if (!courtId) {
+    return false;
+  }
 
-    if (!allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Insufficient permissions'
-      });
-    }
+  const id = (courtId._id || courtId).toString();
+  return (user.courtIds || []).includes(id);
+};
 
-    next();
-  };
+// Build a query filter that restricts a court reference to the user's courts
+const courtScopeFilter = (user, field = 'courtId') => {
+  if (user.courtScope === 'all') {
+    return {};
+  }
+
+  const courtIds = (user.courtIds || []).map(id => new mongoose.Types.ObjectId(id));
+  return { [field]: { $in: courtIds } };
 };
 
-// Middleware to require admin role
-const requireAdmin = (req, res, next) => {
-  return requireRole(['admin'])(req, res, next);
+// Send the standard response for a denied action
+const permissionDenied = (res, action) => {
+  return res.status(403).json({
+    success: false,
+    message: 'Access denied',
+    requiredPermission: action
+  });
 };
 
-// Middleware to require circuit court role or higher
-const requireCircuitOrAdmin = (req, res, next) => {
-  return requireRole(['admin', 'circuit'])(req, res, next);
+// Returned by a scope resolver for actions that need access to every court
+const GLOBAL_SCOPE = Symbol('global');
+
+// Common scope resolvers for requirePermission. A resolver receives the
+// request and returns the court ID (or IDs) the action touches, GLOBAL_SCOPE,
+// or null when there is no court to check (e.g. the record was not found).
+const scopes = {
+  global: () => GLOBAL_SCOPE,
+  param: (name) => (req) => req.params[name] || null,
+  body: (name) => (req) => req.body[name] || null,
+  query: (name) => (req) => req.query[name] || null
 };
 
-// Middleware to check if user owns the resource or is admin
-const requireOwnershipOrAdmin = (resourceUserIdField = 'userId') => {
-  return (req, res, next) => {
+// Middleware to require a permission, optionally within a court scope
+const requirePermission = (action, scopeResolver = null) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -101,21 +191,33 @@ const requireOwnershipOrAdmin = (resourceUserIdField = 'userId') => {
       });
     }
 
-    // Admin can access everything
-    if (req.user.role === 'admin') {
-      return next();
+    if (!hasPermission(req.user, action)) {
+      return permissionDenied(res, action);
     }
 
-    // Check if user owns the resource
-    const resourceUserId = req.params[resourceUserIdField] || req.body[resourceUserIdField];
-    if (resourceUserId && resourceUserId === req.user.userId) {
+    if (!scopeResolver) {
       return next();
     }
 
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied - you can only access your own resources'
-    });
+    try {
+      const scope = await scopeResolver(req);
+
+      if (scope === GLOBAL_SCOPE) {
+        if (req.user.courtScope !== 'all') {
+          return permissionDenied(res, action);
+        }
+        return next();
+      }
+
+      const courtIds = [].concat(scope || []);
+      if (!courtIds.every(courtId => canAccessCourt(req.user, courtId))) {
+        return permissionDenied(res, action);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
 };
 
@@ -173,10 +275,13 @@ const asyncHandler = (fn) => {
 
 module.exports = {
   authenticateToken,
-  requireRole,
-  requireAdmin,
-  requireCircuitOrAdmin,
-  requireOwnershipOrAdmin,
+  requirePermission,
+  permissionDenied,
+  hasPermission,
+  scopes,
+  GLOBAL_SCOPE,
+  canAccessCourt,
+  courtScopeFilter,
   validateFields,
   logRequest,
   asyncHandler
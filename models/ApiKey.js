@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { PERMISSIONS, COURT_SCOPES } = require('../config/permissions');
+
+// Keys look like "jsk_<prefix>_<secret>". The prefix identifies the key;
+// only a hash of the secret is stored.
+const KEY_PATTERN = /^jsk_([a-f0-9]{12})_([a-f0-9]{64})$/;
+
+const hashSecret = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  secretHash: {
+    type: String,
+    required: true
+  },
+  // Permissions granted to the key
+  scopes: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS)
+  }],
+  courtScope: {
+    type: String,
+    required: true,
+    enum: COURT_SCOPES,
+    default: 'all'
+  },
+  courtId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Court',
+    required: function() {
+      return this.courtScope !== 'all';
+    }
+  },
+  expiresAt: {
+    type: Date
+  },
+  lastUsedAt: {
+    type: Date
+  },
+  lastUsedIp: {
+    type: String,
+    maxlength: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+apiKeySchema.index({ revokedAt: 1, expiresAt: 1 });
+
+// Instance method to check if the key can be used
+apiKeySchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Instance method to get key without the secret hash
+apiKeySchema.methods.toJSON = function() {
+  const keyObject = this.toObject();
+  delete keyObject.secretHash;
+  return keyObject;
+};
+
+// Static method to generate a new key. The plain key is returned once and
+// must be handed to the caller; it cannot be recovered later.
+apiKeySchema.statics.generateKey = function() {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  return {
+    key: `jsk_${prefix}_${secret}`,
+    prefix,
+    secretHash: hashSecret(secret)
+  };
+};
+
+// Static method to find the key matching a presented API key string
+apiKeySchema.statics.findByKey = async function(key) {
+  const match = KEY_PATTERN.exec(String(key || ''));
+  if (!match) {
+    return null;
+  }
+
+  const apiKey = await this.findOne({ prefix: match[1] });
+  if (!apiKey) {
+    return null;
+  }
+
+  const expected = Buffer.from(apiKey.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(match[2]), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? apiKey : null;
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
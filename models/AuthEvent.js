@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const authEventSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'login_failed',
+      'login_blocked',
+      'account_locked',
+      'account_unlocked',
+      'password_reset_requested',
+      'password_reset_forced',
+      'password_reset',
+      'two_factor_failed',
+      'two_factor_enabled',
+      'two_factor_disabled',
+      'two_factor_reset'
+    ]
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  username: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 100
+  },
+  ipAddress: {
+    type: String,
+    maxlength: 100
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  details: {
+    type: String,
+    maxlength: 500
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+authEventSchema.index({ type: 1, createdAt: -1 });
+authEventSchema.index({ userId: 1, createdAt: -1 });
+authEventSchema.index({ username: 1, createdAt: -1 });
+
+// Static method to record an event. Failures are logged rather than thrown
+// so that recording never breaks the request being handled.
+authEventSchema.statics.record = async function(type, { user, username, req, performedBy, details } = {}) {
+  try {
+    return await this.create({
+      type,
+      userId: user ? user._id : undefined,
+      username: user ? user.username : username,
+      ipAddress: req ? req.ip : undefined,
+      userAgent: req ? req.get('user-agent') : undefined,
+      performedBy,
+      details
+    });
+  } catch (error) {
+    console.error('Record auth event error:', error);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AuthEvent', authEventSchema);
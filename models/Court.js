@@ -40,6 +40,11 @@ const courtSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Whether staff transfers into this court need approval from its own staff
+  requiresTransferApproval: {
+    type: Boolean,
+    default: false
+  },
   description: {
     type: String,
     maxlength: 500
@@ -83,6 +88,30 @@ courtSchema.statics.getAllMagisterialCourts = function() {
     .sort({ name: 1 });
 };
 
+// Static method to get the IDs of the courts a user account can access,
+// given the court scope of its role. Returns null for unrestricted access.
+courtSchema.statics.getAccessibleCourtIds = async function(user, courtScope) {
+  if (courtScope === 'all') {
+    return null;
+  }
+  if (!user || !user.courtId) {
+    return [];
+  }
+
+  const courtIds = [user.courtId.toString()];
+
+  // Circuit-scoped accounts also cover the magisterial courts under them
+  if (courtScope === 'circuit') {
+    const magisterialCourts = await this.find({
+      circuitCourtId: user.courtId,
+      isActive: true
+    }).select('_id');
+    courtIds.push(...magisterialCourts.map(court => court._id.toString()));
+  }
+
+  return courtIds;
+};
+
 // Instance method to get court with related data
 courtSchema.methods.getCourtWithDetails = function() {
   return this.populate([
@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+
+// Append-only record of a staff member's employment status changes.
+// The status fields on Staff are derived from the latest event.
+const employmentEventSchema = new mongoose.Schema({
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: true
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['active', 'retired', 'dismissed', 'on_leave']
+  },
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  // Expected return date for leave
+  expectedEndDate: {
+    type: Date
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  notes: {
+    type: String,
+    maxlength: 1000
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Name of the user or API key that recorded the event, kept in case
+  // the account is later removed
+  recordedByName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+employmentEventSchema.index({ staffId: 1, effectiveDate: -1, createdAt: -1 });
+
+// Events are never changed once recorded
+employmentEventSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Employment events cannot be changed'));
+  }
+  next();
+});
+
+employmentEventSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Employment events cannot be changed'));
+});
+
+// Static method to get a staff member's history, newest first
+employmentEventSchema.statics.getHistory = function(staffId) {
+  return this.find({ staffId })
+    .populate('recordedBy', 'name username')
+    .sort({ effectiveDate: -1, createdAt: -1 });
+};
+
+// Static method to get the event that determines the current status.
+// Events dated in the future are scheduled and only count once due.
+employmentEventSchema.statics.getCurrent = function(staffId, asOf = new Date()) {
+  return this.findOne({ staffId, effectiveDate: { $lte: asOf } }).sort({ effectiveDate: -1, createdAt: -1 });
+};
+
+// Static method to get the staff members with events that became due in
+// a period
+employmentEventSchema.statics.getStaffWithEventsDue = function(since, until = new Date()) {
+  const effectiveDate = { $lte: until };
+  if (since) {
+    effectiveDate.$gt = since;
+  }
+  return this.distinct('staffId', { effectiveDate });
+};
+
+// Static method to build the first event for a staff member from their
+// current status fields
+employmentEventSchema.statics.initialEventFor = function(staff) {
+  const statusDates = {
+    retired: staff.retirementDate,
+    dismissed: staff.dismissalDate,
+    on_leave: staff.leaveStartDate
+  };
+
+  return {
+    staffId: staff._id,
+    status: staff.employmentStatus,
+    effectiveDate: statusDates[staff.employmentStatus] || staff.hireDate || staff.createdAt || new Date(),
+    expectedEndDate: staff.employmentStatus === 'on_leave' ? staff.leaveEndDate : undefined
+  };
+};
+
+// Static method to record an initial event for staff created before
+// history was kept
+employmentEventSchema.statics.backfillInitialEvents = async function() {
+  const Staff = mongoose.model('Staff');
+  const staffWithHistory = await this.distinct('staffId');
+  const staffWithoutHistory = await Staff.find({ _id: { $nin: staffWithHistory } });
+
+  const events = staffWithoutHistory.map(staff => ({
+    ...this.initialEventFor(staff),
+    reason: 'Status recorded before history was kept'
+  }));
+
+  if (events.length > 0) {
+    await this.insertMany(events);
+  }
+  return events.length;
+};
+
+// Static method to move a staff member's events to another staff record,
+// when duplicate records are merged. This is the only change made to
+// recorded events, so it bypasses the update hooks.
+employmentEventSchema.statics.reassignStaff = async function(fromStaffId, toStaffId) {
+  const result = await this.collection.updateMany(
+    { staffId: new mongoose.Types.ObjectId(fromStaffId) },
+    { $set: { staffId: new mongoose.Types.ObjectId(toStaffId) } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('EmploymentEvent', employmentEventSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// Persistent state of a scheduled background job. The job's code is
+// registered with the scheduler; this records when it runs and who holds
+// the lock, so that only one server instance runs it at a time.
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  intervalMinutes: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 7 * 24 * 60
+  },
+  // Failed runs are retried this many times before waiting for the next
+  // regular run
+  maxRetries: {
+    type: Number,
+    default: 3,
+    min: 0,
+    max: 10
+  },
+  retryDelayMinutes: {
+    type: Number,
+    default: 5,
+    min: 1,
+    max: 24 * 60
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastSuccessAt: {
+    type: Date
+  },
+  lastStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  },
+  lastError: {
+    type: String,
+    maxlength: 2000
+  },
+  // Consecutive failed attempts since the last success
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockedBy: {
+    type: String,
+    maxlength: 200
+  },
+  lockedUntil: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+jobSchema.index({ enabled: 1, nextRunAt: 1 });
+
+// Static method to take the lock on a job. Returns the locked job, or null
+// if another run holds an unexpired lock.
+jobSchema.statics.acquireLock = function(name, owner, lockMinutes) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      name,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    {
+      lockedBy: owner,
+      lockedUntil: new Date(now.getTime() + lockMinutes * 60 * 1000)
+    },
+    { new: true }
+  );
+};
+
+// Static method to extend a lock the owner still holds, while its run goes
+// on. Returns whether the lock was still held.
+jobSchema.statics.renewLock = async function(name, owner, lockMinutes) {
+  const result = await this.updateOne(
+    { name, lockedBy: owner },
+    { lockedUntil: new Date(Date.now() + lockMinutes * 60 * 1000) }
+  );
+  return result.matchedCount > 0;
+};
+
+// Instance method to check whether a run currently holds the lock
+jobSchema.methods.isLocked = function() {
+  return !!this.lockedUntil && this.lockedUntil > new Date();
+};
+
+module.exports = mongoose.model('Job', jobSchema);
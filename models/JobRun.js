@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// One run of a background job, with what it changed or why it failed
+const jobRunSchema = new mongoose.Schema({
+  jobName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  trigger: {
+    type: String,
+    required: true,
+    enum: ['schedule', 'retry', 'manual']
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  attempt: {
+    type: Number,
+    default: 1
+  },
+  instance: {
+    type: String,
+    maxlength: 200
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date
+  },
+  durationMs: {
+    type: Number
+  },
+  // Summary returned by the job: counts and the records it changed
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  error: {
+    type: String,
+    maxlength: 2000
+  }
+});
+
+// Indexes for better query performance
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+// Keep run history for 90 days
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
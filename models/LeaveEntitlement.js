@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { LEAVE_TYPES } = require('../config/leave-types');
+
+// A staff member's entitlement for one leave type in one calendar year,
+// overriding the default for the type
+const leaveEntitlementSchema = new mongoose.Schema({
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true,
+    min: 2000,
+    max: 2100
+  },
+  leaveType: {
+    type: String,
+    required: true,
+    enum: Object.keys(LEAVE_TYPES)
+  },
+  days: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 366
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+leaveEntitlementSchema.index({ staffId: 1, year: 1, leaveType: 1 }, { unique: true });
+
+// Static method to get a staff member's entitled days per leave type for a
+// year, falling back to the defaults
+leaveEntitlementSchema.statics.getEntitlements = async function(staffId, year) {
+  const records = await this.find({ staffId, year });
+
+  const entitlements = {};
+  Object.keys(LEAVE_TYPES).forEach(leaveType => {
+    const record = records.find(entry => entry.leaveType === leaveType);
+    entitlements[leaveType] = record ? record.days : LEAVE_TYPES[leaveType].defaultDays;
+  });
+  return entitlements;
+};
+
+module.exports = mongoose.model('LeaveEntitlement', leaveEntitlementSchema);
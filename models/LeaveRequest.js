@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { LEAVE_TYPES } = require('../config/leave-types');
+
+// A request for leave. Approved leave puts the staff member on leave from
+// the start date and returns them to active the day after the end date.
+const leaveRequestSchema = new mongoose.Schema({
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: true
+  },
+  leaveType: {
+    type: String,
+    required: true,
+    enum: Object.keys(LEAVE_TYPES)
+  },
+  // First and last day of leave (inclusive), stored as UTC midnight
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  // Working days (Monday to Friday) covered by the request
+  days: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestedByName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedByName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  decidedAt: {
+    type: Date
+  },
+  decisionNotes: {
+    type: String,
+    maxlength: 1000
+  },
+  // Set when the staff member was put on leave and returned to active
+  startedAt: {
+    type: Date
+  },
+  returnedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+leaveRequestSchema.index({ staffId: 1, startDate: -1 });
+leaveRequestSchema.index({ status: 1, startDate: 1 });
+leaveRequestSchema.index({ status: 1, endDate: 1 });
+
+// Static method to find pending or approved leave for a staff member that
+// overlaps the given days
+leaveRequestSchema.statics.findOverlapping = function(staffId, startDate, endDate, excludeId = null) {
+  const query = {
+    staffId,
+    status: { $in: ['pending', 'approved'] },
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate }
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return this.findOne(query);
+};
+
+// Instance method to check whether the leave is currently being taken
+leaveRequestSchema.methods.isInProgress = function() {
+  return this.status === 'approved' && !!this.startedAt && !this.returnedAt;
+};
+
+module.exports = mongoose.model('LeaveRequest', leaveRequestSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const passwordResetTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  // Set when an administrator forced the reset
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ipAddress: {
+    type: String,
+    maxlength: 100
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+passwordResetTokenSchema.index({ userId: 1, usedAt: 1 });
+// Let MongoDB remove tokens a day after they expire
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Instance method to check if the token can still be used
+passwordResetTokenSchema.methods.isUsable = function() {
+  return !this.usedAt && this.expiresAt > new Date();
+};
+
+// Static method to invalidate every outstanding token of a user
+passwordResetTokenSchema.statics.invalidateForUser = function(userId) {
+  return this.updateMany(
+    { userId, usedAt: null },
+    { usedAt: new Date() }
+  );
+};
+
+module.exports = mongoose.model('PasswordResetToken', passwordResetTokenSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY } = require('../config/salary');
+
+// A pay scale: the salary at each step of each grade. Positions map to a
+// scale and one of its grades.
+const payScaleSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: 20,
+    match: [/^[A-Z0-9][A-Z0-9_-]*$/, 'Code may only contain letters, numbers, dashes and underscores']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter code'],
+    default: DEFAULT_CURRENCY
+  },
+  // Salary amounts for steps 1, 2, ... of each grade
+  grades: [{
+    _id: false,
+    grade: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 20
+    },
+    steps: {
+      type: [{
+        type: Number,
+        min: 0
+      }],
+      validate: {
+        validator: (value) => value.length > 0,
+        message: 'A grade must have at least one step'
+      }
+    }
+  }],
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Increment that last raised the scale's amounts, so a retry does not
+  // raise them again
+  lastIncrementId: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: true
+});
+
+// Grades are unique within a scale
+payScaleSchema.pre('validate', function(next) {
+  const grades = this.grades.map(entry => entry.grade.toLowerCase());
+  if (new Set(grades).size !== grades.length) {
+    this.invalidate('grades', 'Grades must be unique within a pay scale');
+  }
+  next();
+});
+
+// Instance method to get a grade's entry, ignoring case
+payScaleSchema.methods.getGrade = function(grade) {
+  const name = String(grade || '').toLowerCase();
+  return this.grades.find(entry => entry.grade.toLowerCase() === name) || null;
+};
+
+// Instance method to get the salary at a grade and step (1-based), or null
+// if the scale has no such point
+payScaleSchema.methods.getAmount = function(grade, step) {
+  const entry = this.getGrade(grade);
+  if (!entry || !Number.isInteger(step) || step < 1 || step > entry.steps.length) {
+    return null;
+  }
+  return entry.steps[step - 1];
+};
+
+module.exports = mongoose.model('PayScale', payScaleSchema);
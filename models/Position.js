@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+
+// Normalize a position title for matching: case, spacing and punctuation
+// are ignored
+const normalizeTitle = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+// An entry in the catalog of positions staff can hold
+const positionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    maxlength: 20,
+    match: [/^[A-Z0-9][A-Z0-9_-]*$/, 'Code may only contain letters, numbers, dashes and underscores']
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  grade: {
+    type: String,
+    trim: true,
+    maxlength: 20
+  },
+  courtTypes: {
+    type: [{
+      type: String,
+      enum: ['circuit', 'magisterial']
+    }],
+    default: ['circuit', 'magisterial'],
+    validate: {
+      validator: (value) => value.length > 0,
+      message: 'A position must apply to at least one court type'
+    }
+  },
+  // Pay scale the position is paid on, at its grade
+  payScaleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayScale'
+  },
+  // Number of staff each court may have in this position; unset means
+  // no limit
+  authorizedHeadcount: {
+    type: Number,
+    min: 0
+  },
+  // Other titles this position has been recorded under, matched when
+  // mapping free-text positions to the catalog
+  aliases: [{
+    type: String,
+    trim: true,
+    maxlength: 100
+  }],
+  description: {
+    type: String,
+    maxlength: 500
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+positionSchema.index({ title: 1 });
+positionSchema.index({ isActive: 1, courtTypes: 1 });
+
+// Instance method to check if the position can be held at a court type
+positionSchema.methods.appliesTo = function(courtType) {
+  return this.courtTypes.includes(courtType);
+};
+
+// Static method to find the position a free-text title or code refers to,
+// matching titles and aliases regardless of case and punctuation. Active
+// positions are preferred.
+positionSchema.statics.findByTitle = async function(value, positions = null) {
+  const normalized = normalizeTitle(value);
+  if (!normalized) {
+    return null;
+  }
+
+  const candidates = positions || await this.find({});
+  const matches = candidates.filter(position =>
+    normalizeTitle(position.code) === normalized ||
+    normalizeTitle(position.title) === normalized ||
+    position.aliases.some(alias => normalizeTitle(alias) === normalized)
+  );
+  // A title can live on in a deactivated position after a merge
+  return matches.find(position => position.isActive) || matches[0] || null;
+};
+
+// Static method to generate an unused code from a title,
+// e.g. "Court Clerk" becomes COURT-CLERK
+positionSchema.statics.generateCode = async function(title) {
+  const base = normalizeTitle(title).toUpperCase().replace(/ /g, '-').slice(0, 16) || 'POSITION';
+  let code = base;
+  for (let suffix = 2; await this.exists({ code }); suffix++) {
+    code = `${base}-${suffix}`;
+  }
+  return code;
+};
+
+// Static method to link staff recorded before the catalog existed to
+// catalog entries. Free-text positions that match no entry get a new one.
+// Returns the number of staff linked and of positions created.
+positionSchema.statics.migrateStaffPositions = async function() {
+  const Staff = mongoose.model('Staff');
+
+  const titles = await Staff.find({ positionId: null })
+    .setOptions({ withDeleted: true })
+    .distinct('position');
+  if (titles.length === 0) {
+    return { linked: 0, created: 0 };
+  }
+
+  const positions = await this.find({});
+  let linked = 0;
+  let created = 0;
+
+  for (const title of titles) {
+    let position = await this.findByTitle(title, positions);
+    if (!position) {
+      position = await this.create({
+        code: await this.generateCode(title),
+        title: title.trim()
+      });
+      positions.push(position);
+      created++;
+    }
+
+    const result = await Staff.updateMany(
+      { position: title, positionId: null },
+      { $set: { positionId: position._id, position: position.title } }
+    ).setOptions({ withDeleted: true });
+    linked += result.modifiedCount;
+  }
+
+  return { linked, created };
+};
+
+module.exports = mongoose.model('Position', positionSchema);
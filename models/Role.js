@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, COURT_SCOPES, DEFAULT_ROLES } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9_-]{1,49}$/, 'Role name may only contain letters, numbers, dashes and underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  permissions: [{
+    type: String,
+    enum: Object.keys(PERMISSIONS)
+  }],
+  courtScope: {
+    type: String,
+    required: true,
+    enum: COURT_SCOPES,
+    default: 'court'
+  },
+  // Built-in roles cannot be deleted
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  // Default permissions a built-in role has been given, so defaults added
+  // later are granted once and ones an administrator removed stay removed
+  grantedDefaults: [{
+    type: String
+  }]
+}, {
+  timestamps: true
+});
+
+// Static method to find role by name
+roleSchema.statics.findByName = function(name) {
+  return this.findOne({ name: String(name).toLowerCase() });
+};
+
+// Default permissions of the built-in roles as first released, before
+// grantedDefaults was recorded. Roles created then already had these.
+const FIRST_DEFAULTS = {
+  circuit: ['staff:read', 'staff:create', 'staff:update', 'staff:update:status', 'court:read', 'court:create'],
+  magisterial: ['staff:read', 'staff:create', 'staff:update', 'staff:update:status', 'court:read']
+};
+
+// Static method to create the built-in roles if they are missing.
+// Existing roles keep administrator edits, but are given default
+// permissions added since they were created; the admin role picks up every
+// permission added to the registry.
+roleSchema.statics.ensureDefaultRoles = async function() {
+  for (const role of DEFAULT_ROLES) {
+    await this.updateOne(
+      { name: role.name },
+      { $setOnInsert: { ...role, isSystem: true, grantedDefaults: role.permissions } },
+      { upsert: true }
+    );
+
+    const existing = await this.findOne({ name: role.name, isSystem: true }).select('grantedDefaults');
+    if (!existing) {
+      continue;
+    }
+    const granted = existing.grantedDefaults.length > 0
+      ? existing.grantedDefaults
+      : FIRST_DEFAULTS[role.name] || [];
+    const added = role.permissions.filter(permission => !granted.includes(permission));
+    if (added.length > 0) {
+      await this.updateOne(
+        { _id: existing._id },
+        { $addToSet: { permissions: { $each: added }, grantedDefaults: { $each: [...granted, ...added] } } }
+      );
+    }
+  }
+
+  await this.updateOne(
+    { name: 'admin' },
+    { $addToSet: { permissions: { $each: Object.keys(PERMISSIONS) } } }
+  );
+};
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const { DEFAULT_CURRENCY } = require('../config/salary');
+
+// Append-only record of a staff member's salary changes.
+// The salary fields on Staff are derived from the latest record.
+const salaryRecordSchema = new mongoose.Schema({
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // ISO 4217 code
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    match: [/^[A-Z]{3}$/, 'Currency must be a three-letter code'],
+    default: DEFAULT_CURRENCY
+  },
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  // Pay scale point the amount was taken from, if any
+  payScaleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayScale'
+  },
+  grade: {
+    type: String,
+    trim: true,
+    maxlength: 20
+  },
+  step: {
+    type: Number,
+    min: 1
+  },
+  // Scale-wide increment the record was created by, if any
+  incrementId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  // Memo, letter or order authorizing the change
+  approvalReference: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedByName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+salaryRecordSchema.index({ staffId: 1, effectiveDate: -1, createdAt: -1 });
+salaryRecordSchema.index({ incrementId: 1 });
+
+// Records are never changed once made
+salaryRecordSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Salary records cannot be changed'));
+  }
+  next();
+});
+
+salaryRecordSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Salary records cannot be changed'));
+});
+
+// Static method to get a staff member's salary history, newest first
+salaryRecordSchema.statics.getHistory = function(staffId) {
+  return this.find({ staffId })
+    .populate('approvedBy', 'name username')
+    .populate('payScaleId', 'code name')
+    .sort({ effectiveDate: -1, createdAt: -1 });
+};
+
+// Static method to get the record that determines the current salary.
+// Records dated in the future are scheduled and only count once due.
+salaryRecordSchema.statics.getCurrent = function(staffId, asOf = new Date()) {
+  return this.findOne({ staffId, effectiveDate: { $lte: asOf } }).sort({ effectiveDate: -1, createdAt: -1 });
+};
+
+// Static method to get the staff members with records that became due in
+// a period
+salaryRecordSchema.statics.getStaffWithRecordsDue = function(since, until = new Date()) {
+  const effectiveDate = { $lte: until };
+  if (since) {
+    effectiveDate.$gt = since;
+  }
+  return this.distinct('staffId', { effectiveDate });
+};
+
+// Static method to record the salary of staff created before salary
+// history was kept
+salaryRecordSchema.statics.backfillInitialRecords = async function() {
+  const Staff = mongoose.model('Staff');
+  const staffWithHistory = await this.distinct('staffId');
+  const staffWithoutHistory = await Staff.find({
+    _id: { $nin: staffWithHistory },
+    salary: { $ne: null }
+  }).setOptions({ withDeleted: true });
+
+  const records = staffWithoutHistory.map(staff => ({
+    staffId: staff._id,
+    amount: staff.salary,
+    currency: staff.salaryCurrency || DEFAULT_CURRENCY,
+    effectiveDate: staff.hireDate || staff.createdAt || new Date(),
+    reason: 'Salary recorded before history was kept'
+  }));
+
+  if (records.length > 0) {
+    await this.insertMany(records);
+  }
+  return records.length;
+};
+
+// Static method to give a merged duplicate's salary history to the record
+// it was merged into. Goes straight to the collection, past the hooks above.
+salaryRecordSchema.statics.reassignStaff = async function(fromStaffId, toStaffId) {
+  const result = await this.collection.updateMany(
+    { staffId: new mongoose.Types.ObjectId(fromStaffId) },
+    { $set: { staffId: new mongoose.Types.ObjectId(toStaffId) } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('SalaryRecord', salaryRecordSchema);
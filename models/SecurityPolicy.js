@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// System-wide security settings, stored as a single document
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  // Names of roles whose users must enroll in two-factor authentication
+  twoFactorRequiredRoles: [{
+    type: String,
+    lowercase: true
+  }],
+  passwordPolicy: {
+    minLength: {
+      type: Number,
+      default: 10,
+      min: 6,
+      max: 128
+    },
+    requireUppercase: {
+      type: Boolean,
+      default: true
+    },
+    requireLowercase: {
+      type: Boolean,
+      default: true
+    },
+    requireNumber: {
+      type: Boolean,
+      default: true
+    },
+    requireSymbol: {
+      type: Boolean,
+      default: false
+    },
+    blockCommonPasswords: {
+      type: Boolean,
+      default: true
+    },
+    // Extra passwords to reject, e.g. the organisation's name
+    blockedPasswords: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    // How many recent passwords (including the current one) cannot be reused
+    historyCount: {
+      type: Number,
+      default: 5,
+      min: 0,
+      max: 24
+    },
+    // Days before a password must be changed; 0 means it never expires
+    maxAgeDays: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the policy, creating it with defaults if missing
+securityPolicySchema.statics.getPolicy = function() {
+  return this.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Instance method to check if a role must use two-factor authentication
+securityPolicySchema.methods.requiresTwoFactor = function(role) {
+  return this.twoFactorRequiredRoles.includes(role);
+};
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
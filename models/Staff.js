@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const EmploymentEvent = require('./EmploymentEvent');
+const SalaryRecord = require('./SalaryRecord');
 
 const staffSchema = new mongoose.Schema({
   name: {
@@ -7,12 +9,17 @@ const staffSchema = new mongoose.Schema({
     trim: true,
     maxlength: 100
   },
+  // Title of the catalog position, copied for listings and search
   position: {
     type: String,
     required: true,
     trim: true,
     maxlength: 100
   },
+  positionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Position'
+  },
   courtType: {
     type: String,
     required: true,
@@ -35,6 +42,13 @@ const staffSchema = new mongoose.Schema({
     maxlength: 100,
     match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email address']
   },
+  // Government-issued identity number, used to spot duplicate records
+  nationalId: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: 30
+  },
   education: {
     type: String,
     trim: true,
@@ -71,10 +85,20 @@ const staffSchema = new mongoose.Schema({
   leaveEndDate: {
     type: Date
   },
+  // Current salary, derived from the salary history
   salary: {
     type: Number,
     min: 0
   },
+  salaryCurrency: {
+    type: String,
+    uppercase: true
+  },
+  // Pay scale step of the current salary, if it was taken from a scale
+  salaryStep: {
+    type: Number,
+    min: 1
+  },
   department: {
     type: String,
     trim: true,
@@ -111,6 +135,44 @@ const staffSchema = new mongoose.Schema({
     city: String,
     state: String,
     zipCode: String
+  },
+  // Photo and thumbnail, kept in document storage
+  photo: {
+    storage: String,
+    storageKey: String,
+    thumbnailKey: String,
+    mimeType: String,
+    size: Number,
+    width: Number,
+    height: Number,
+    checksum: String,
+    thumbnailChecksum: String,
+    uploadedAt: Date,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadedByName: String
+  },
+  // Set when the record is moved to the trash; trashed records are left
+  // out of queries unless the withDeleted option is set
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deletedByName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // Record this one was merged into as a duplicate; set on trashed records
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
   }
 }, {
   timestamps: true
@@ -121,15 +183,58 @@ staffSchema.index({ employmentStatus: 1 });
 staffSchema.index({ courtId: 1, courtType: 1 });
 staffSchema.index({ name: 1 });
 staffSchema.index({ email: 1 });
+staffSchema.index({ nationalId: 1 });
+staffSchema.index({ position: 1 });
+staffSchema.index({ positionId: 1 });
+staffSchema.index({ department: 1 });
+staffSchema.index({ hireDate: 1 });
+staffSchema.index({ createdAt: 1 });
+staffSchema.index({ deletedAt: 1 });
+staffSchema.index({
+  name: 'text',
+  position: 'text',
+  email: 'text',
+  phone: 'text',
+  department: 'text',
+  supervisor: 'text'
+}, {
+  name: 'staff_search',
+  weights: { name: 10, email: 5, phone: 5, position: 3, department: 2, supervisor: 2 }
+});
 
 // Virtual for full name (if needed for future expansion)
 staffSchema.virtual('fullName').get(function() {
   return this.name;
 });
 
+// Instance method to get staff without photo storage details. Where the
+// photo was loaded, its URLs are included; the version parameter changes
+// whenever the photo does, so clients can cache them.
+staffSchema.methods.toJSON = function() {
+  const staffObject = this.toObject();
+  if (!this.isSelected('photo')) {
+    return staffObject;
+  }
+
+  const photo = this.photo && this.photo.storageKey ? this.photo : null;
+  const baseUrl = `/api/staff/${this._id}/photo`;
+  staffObject.photo = photo
+    ? {
+      url: `${baseUrl}?v=${photo.checksum.slice(0, 12)}`,
+      width: photo.width,
+      height: photo.height,
+      size: photo.size,
+      uploadedAt: photo.uploadedAt,
+      uploadedByName: photo.uploadedByName
+    }
+    : null;
+  staffObject.thumbnailUrl = photo ? `${baseUrl}/thumbnail?v=${photo.thumbnailChecksum.slice(0, 12)}` : null;
+  return staffObject;
+};
+
 // Static method to get staff by employment status
-staffSchema.statics.getByStatus = function(status) {
-  return this.find({ employmentStatus: status })
+staffSchema.statics.getByStatus = function(status, filter = {}) {
+  return this.find({ ...filter, employmentStatus: status })
     .populate('courtId', 'name type')
     .sort({ name: 1 });
 };
@@ -154,8 +259,9 @@ staffSchema.statics.getActiveStaff = function() {
 };
 
 // Static method to get staff statistics
-staffSchema.statics.getStatistics = async function() {
+staffSchema.statics.getStatistics = async function(filter = {}) {
   const stats = await this.aggregate([
+    { $match: filter },
     {
       $group: {
         _id: '$employmentStatus',
@@ -180,34 +286,122 @@ staffSchema.statics.getStatistics = async function() {
   return result;
 };
 
-// Instance method to update employment status
-staffSchema.methods.updateEmploymentStatus = function(newStatus, date = null) {
-  this.employmentStatus = newStatus;
-  
-  // Clear all status-specific dates first
-  this.retirementDate = undefined;
-  this.dismissalDate = undefined;
-  this.leaveStartDate = undefined;
-  this.leaveEndDate = undefined;
-  
-  // Set appropriate date based on new status
-  switch (newStatus) {
-    case 'retired':
-      this.retirementDate = date || new Date();
-      break;
-    case 'dismissed':
-      this.dismissalDate = date || new Date();
-      break;
-    case 'on_leave':
-      this.leaveStartDate = date || new Date();
-      break;
+// Instance method to set the status fields from an employment event
+staffSchema.methods.applyEmploymentEvent = function(event) {
+  this.employmentStatus = event.status;
+  this.retirementDate = event.status === 'retired' ? event.effectiveDate : undefined;
+  this.dismissalDate = event.status === 'dismissed' ? event.effectiveDate : undefined;
+  this.leaveStartDate = event.status === 'on_leave' ? event.effectiveDate : undefined;
+  this.leaveEndDate = event.status === 'on_leave' ? event.expectedEndDate : undefined;
+};
+
+// Instance method to re-derive the current status from the history
+staffSchema.methods.syncEmploymentStatus = async function() {
+  const current = await EmploymentEvent.getCurrent(this._id);
+  if (current) {
+    this.applyEmploymentEvent(current);
   }
-  
   return this.save();
 };
 
+// Instance method to update employment status. The change is appended to
+// the employment history and the current status derived from it, so a
+// backdated change does not override a later one, and a future-dated
+// change is applied by the employment status job once it is due.
+staffSchema.methods.updateEmploymentStatus = async function(newStatus, date = null, details = {}) {
+  await EmploymentEvent.create({
+    staffId: this._id,
+    status: newStatus,
+    effectiveDate: date || new Date(),
+    expectedEndDate: newStatus === 'on_leave' ? details.expectedEndDate : undefined,
+    reason: details.reason,
+    notes: details.notes,
+    recordedBy: details.recordedBy,
+    recordedByName: details.recordedByName
+  });
+
+  return this.syncEmploymentStatus();
+};
+
+// Instance method to re-derive the current salary from the salary history
+staffSchema.methods.syncSalary = async function() {
+  const current = await SalaryRecord.getCurrent(this._id);
+  if (current) {
+    this.salary = current.amount;
+    this.salaryCurrency = current.currency;
+    this.salaryStep = current.step;
+  }
+  return this.save();
+};
+
+// Instance method to record a salary change. As with status changes, a
+// future-dated change is applied by the salary job once it is due.
+// Returns the salary record.
+staffSchema.methods.updateSalary = async function(details) {
+  const record = await SalaryRecord.create({
+    ...details,
+    staffId: this._id,
+    effectiveDate: details.effectiveDate || new Date()
+  });
+  await this.syncSalary();
+  return record;
+};
+
+// Instance method to move the record to the trash
+staffSchema.methods.softDelete = function({ deletedBy, deletedByName } = {}) {
+  this.deletedAt = new Date();
+  this.deletedBy = deletedBy;
+  this.deletedByName = deletedByName;
+  return this.save();
+};
+
+// Instance method to take the record out of the trash. Status and salary
+// changes that fell due while it was trashed are applied.
+staffSchema.methods.restore = async function() {
+  this.deletedAt = null;
+  this.deletedBy = undefined;
+  this.deletedByName = undefined;
+  await this.syncSalary();
+  return this.syncEmploymentStatus();
+};
+
+// Whether a filter already says which records to match by deletedAt
+const filtersOnDeleted = (filter) => {
+  if (!filter) {
+    return false;
+  }
+  if (filter.deletedAt !== undefined) {
+    return true;
+  }
+  return Array.isArray(filter.$and) && filter.$and.some(filtersOnDeleted);
+};
+
+// Query middleware to leave trashed records out by default
+staffSchema.pre([
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany'
+], function() {
+  if (!this.getOptions().withDeleted && !filtersOnDeleted(this.getFilter())) {
+    this.where({ deletedAt: null });
+  }
+});
+
+staffSchema.pre('aggregate', function() {
+  if (!this.options.withDeleted) {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
 // Pre-save middleware to validate employment status dates
 staffSchema.pre('save', function(next) {
+  // The date fields describe the current status only; earlier statuses
+  // are kept in the employment history
   // Clear inappropriate dates based on employment status
   if (this.employmentStatus !== 'retired') {
     this.retirementDate = undefined;
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const { DOCUMENT_TYPES } = require('../config/document-types');
+
+// A file attached to a staff record. The file itself is kept by a document
+// storage backend; this records where, and what it is.
+const staffDocumentSchema = new mongoose.Schema({
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: Object.keys(DOCUMENT_TYPES)
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  fileName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // SHA-256 of the file contents, hex encoded
+  checksum: {
+    type: String,
+    required: true
+  },
+  // Backend the file is stored with, and its key there
+  storage: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedByName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  }
+}, {
+  timestamps: true
+});
+
+// Index for better query performance
+staffDocumentSchema.index({ staffId: 1, createdAt: -1 });
+
+// Instance method to get the document without its storage details
+staffDocumentSchema.methods.toJSON = function() {
+  const documentObject = this.toObject();
+  delete documentObject.storage;
+  delete documentObject.storageKey;
+  return documentObject;
+};
+
+module.exports = mongoose.model('StaffDocument', staffDocumentSchema);
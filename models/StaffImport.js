@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Record of a bulk staff import (or a dry run of one), kept for review
+const staffImportSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  format: {
+    type: String,
+    required: true,
+    enum: ['csv', 'xlsx']
+  },
+  mode: {
+    type: String,
+    required: true,
+    enum: ['dry_run', 'commit']
+  },
+  // All-or-nothing commit, as opposed to importing the valid rows only
+  atomic: {
+    type: Boolean,
+    default: true
+  },
+  // Rows looking like existing staff or earlier rows were let through
+  allowDuplicates: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    required: true,
+    // In progress until the rows are saved; an import left in progress was
+    // interrupted, and its importedStaffIds may include rows not removed
+    enum: ['validated', 'in_progress', 'completed', 'partially_completed', 'failed']
+  },
+  // Source column to staff field, as used for this import
+  mapping: {
+    type: Map,
+    of: String
+  },
+  unmappedColumns: [{
+    type: String
+  }],
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  validRows: {
+    type: Number,
+    default: 0
+  },
+  importedRows: {
+    type: Number,
+    default: 0
+  },
+  failedRows: {
+    type: Number,
+    default: 0
+  },
+  rowErrors: [{
+    row: Number,
+    field: String,
+    message: String
+  }],
+  importedStaffIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  }],
+  failureReason: {
+    type: String,
+    maxlength: 1000
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // API key that ran the import, when it was not a user
+  apiKeyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
+  createdByName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+staffImportSchema.index({ createdBy: 1, createdAt: -1 });
+staffImportSchema.index({ apiKeyId: 1, createdAt: -1 });
+staffImportSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('StaffImport', staffImportSchema);
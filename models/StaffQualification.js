@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const { QUALIFICATION_TYPES } = require('../config/qualification-types');
+
+// A degree, certification or license held by a staff member
+const staffQualificationSchema = new mongoose.Schema({
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: Object.keys(QUALIFICATION_TYPES)
+  },
+  // Name of the degree or certification, e.g. "LLB" or "Certified Court Reporter"
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 150
+  },
+  // School or university a degree is from
+  institution: {
+    type: String,
+    trim: true,
+    maxlength: 150
+  },
+  // Year awarded
+  year: {
+    type: Number,
+    min: 1900,
+    max: 2100
+  },
+  // Body that issued a certification or license
+  issuingBody: {
+    type: String,
+    trim: true,
+    maxlength: 150
+  },
+  certificateNumber: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  issueDate: {
+    type: Date
+  },
+  // Left unset for qualifications that do not expire
+  expiryDate: {
+    type: Date
+  },
+  // Scanned copy attached to the staff record, if any
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StaffDocument'
+  },
+  notes: {
+    type: String,
+    maxlength: 500
+  },
+  // When the court was alerted that the qualification is about to expire
+  expiryAlertSentAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdByName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+staffQualificationSchema.index({ staffId: 1, expiryDate: 1 });
+staffQualificationSchema.index({ expiryDate: 1, expiryAlertSentAt: 1 });
+
+module.exports = mongoose.model('StaffQualification', staffQualificationSchema);
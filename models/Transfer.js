@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+
+// A move of a staff member from one court to another. Transfers that need
+// the receiving court's approval start as pending; approved transfers are
+// applied to the staff record once their effective date arrives.
+const transferSchema = new mongoose.Schema({
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: true
+  },
+  fromCourtId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Court',
+    required: true
+  },
+  toCourtId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Court',
+    required: true
+  },
+  effectiveDate: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 500
+  },
+  orderReference: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  status: {
+    type: String,
+    required: true,
+    enum: ['pending', 'approved', 'rejected', 'cancelled', 'completed'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  requestedByName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedByName: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  decidedAt: {
+    type: Date
+  },
+  decisionNotes: {
+    type: String,
+    maxlength: 1000
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for better query performance
+transferSchema.index({ staffId: 1, createdAt: -1 });
+transferSchema.index({ fromCourtId: 1, completedAt: -1 });
+transferSchema.index({ toCourtId: 1, completedAt: -1 });
+transferSchema.index({ status: 1, effectiveDate: 1 });
+
+// Transfers that are still waiting to be applied
+const OPEN_STATUSES = ['pending', 'approved'];
+
+// Static method to find the open transfer for a staff member, if any
+transferSchema.statics.findOpenForStaff = function(staffId) {
+  return this.findOne({ staffId, status: { $in: OPEN_STATUSES } });
+};
+
+// Instance method to record an approval or rejection
+transferSchema.methods.decide = function(approved, { decidedBy, decidedByName, notes } = {}) {
+  this.status = approved ? 'approved' : 'rejected';
+  this.decidedBy = decidedBy;
+  this.decidedByName = decidedByName;
+  this.decidedAt = new Date();
+  this.decisionNotes = notes;
+  return this.save();
+};
+
+// Instance method to move the staff member to the receiving court.
+// If the staff member has since left the sending court, the transfer is
+// cancelled instead.
+transferSchema.methods.complete = async function() {
+  const Staff = mongoose.model('Staff');
+  const Court = mongoose.model('Court');
+
+  const [staff, toCourt] = await Promise.all([
+    Staff.findById(this.staffId),
+    Court.findById(this.toCourtId)
+  ]);
+
+  if (!staff || !toCourt || !toCourt.isActive || !staff.courtId.equals(this.fromCourtId)) {
+    this.status = 'cancelled';
+    this.decisionNotes = 'Cancelled automatically: the staff member or receiving court changed before the transfer took effect';
+    return this.save();
+  }
+
+  staff.courtId = toCourt._id;
+  staff.courtType = toCourt.type;
+  await staff.save();
+
+  this.status = 'completed';
+  this.completedAt = new Date();
+  return this.save();
+};
+
+// Static method to apply approved transfers whose effective date has passed.
+// Returns the transfers processed, completed or cancelled.
+transferSchema.statics.applyDueTransfers = async function(asOf = new Date()) {
+  const dueTransfers = await this.find({
+    status: 'approved',
+    effectiveDate: { $lte: asOf }
+  }).sort({ effectiveDate: 1 });
+
+  for (const transfer of dueTransfers) {
+    await transfer.complete();
+  }
+
+  return dueTransfers;
+};
+
+// Static method to count completed transfers in and out of each court
+// over a period, optionally limited to some courts
+transferSchema.statics.getCourtReport = async function({ from, to, courtIds = null } = {}) {
+  const match = { status: 'completed' };
+  if (from || to) {
+    match.effectiveDate = {};
+    if (from) match.effectiveDate.$gte = from;
+    if (to) match.effectiveDate.$lte = to;
+  }
+
+  const [outgoing, incoming] = await Promise.all([
+    this.aggregate([
+      { $match: match },
+      { $group: { _id: '$fromCourtId', count: { $sum: 1 } } }
+    ]),
+    this.aggregate([
+      { $match: match },
+      { $group: { _id: '$toCourtId', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const report = new Map();
+  const entry = (courtId) => {
+    const key = courtId.toString();
+    if (!report.has(key)) {
+      report.set(key, { courtId, transfersIn: 0, transfersOut: 0, net: 0 });
+    }
+    return report.get(key);
+  };
+  outgoing.forEach(({ _id, count }) => {
+    entry(_id).transfersOut = count;
+  });
+  incoming.forEach(({ _id, count }) => {
+    entry(_id).transfersIn = count;
+  });
+
+  return [...report.values()]
+    .filter(row => !courtIds || courtIds.includes(row.courtId.toString()))
+    .map(row => ({ ...row, net: row.transfersIn - row.transfersOut }));
+};
+
+module.exports = mongoose.model('Transfer', transferSchema);
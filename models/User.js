@@ -1,5 +1,13 @@
 const mongoose = require('mongoose');
-const bcrypt = require('bcryptjs');
+const { verifyCode, hashRecoveryCode } = require('../services/totp-service');
+const { hashPassword, verifyUserPassword, isBcryptHash } = require('../services/credential-service');
+
+// Previous password hashes kept for the password reuse check
+const MAX_PASSWORD_HISTORY = 24;
+
+// Account lockout policy
+const MAX_FAILED_LOGIN_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+const LOCK_DURATION_MS = (parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15) * 60 * 1000;
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -15,12 +23,31 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 6
   },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Most recent first
+  passwordHistory: [String],
+  // Name of a Role document
   role: {
     type: String,
     required: true,
-    enum: ['admin'],
+    trim: true,
+    lowercase: true,
     default: 'admin'
   },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    maxlength: 100,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email address']
+  },
+  // Required unless the role reaches every court
+  courtId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Court'
+  },
   name: {
     type: String,
     required: true,
@@ -31,35 +58,235 @@ const userSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  lastLoginIp: {
+    type: String,
+    maxlength: 100
+  },
+  // The login before the latest one, so users can spot logins they did not make
+  previousLoginAt: {
+    type: Date
+  },
+  previousLoginIp: {
+    type: String,
+    maxlength: 100
+  },
+  preferences: {
+    theme: {
+      type: String,
+      enum: ['light', 'dark', 'system'],
+      default: 'system'
+    },
+    language: {
+      type: String,
+      trim: true,
+      maxlength: 10,
+      default: 'en'
+    },
+    pageSize: {
+      type: Number,
+      min: 10,
+      max: 200,
+      default: 25
+    },
+    emailNotifications: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Set when an administrator forces a password reset, and on the seeded
+  // accounts, whose well-known passwords must be replaced before use
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    // Secret generated during enrollment, until the first code confirms it
+    pendingSecret: String,
+    recoveryCodes: [String],
+    // Last accepted time step, so a code cannot be used twice
+    lastUsedStep: Number,
+    enabledAt: Date
   }
 }, {
   timestamps: true
 });
 
+userSchema.index({ courtId: 1 });
+userSchema.index({ email: 1 });
+
+// Remember the stored password hash so a change can move it into history
+userSchema.post('init', function(doc) {
+  doc.$locals.previousPasswordHash = doc.password;
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   // Only hash the password if it has been modified (or is new)
   if (!this.isModified('password')) return next();
   
   try {
-    // Hash password with cost of 12
-    const hashedPassword = await bcrypt.hash(this.password, 12);
+    const previousHash = this.$locals.previousPasswordHash;
+    if (isBcryptHash(previousHash)) {
+      this.passwordHistory = [previousHash, ...(this.passwordHistory || [])]
+        .slice(0, MAX_PASSWORD_HISTORY);
+    }
+
+    const hashedPassword = await hashPassword(this.password);
     this.password = hashedPassword;
+    this.passwordChangedAt = new Date();
+    this.$locals.previousPasswordHash = hashedPassword;
     next();
   } catch (error) {
     next(error);
   }
 });
 
-// Instance method to check password
-userSchema.methods.comparePassword = async function(candidatePassword) {
-  return bcrypt.compare(candidatePassword, this.password);
+// Instance method to check password, upgrading the stored hash if needed
+userSchema.methods.comparePassword = function(candidatePassword) {
+  return verifyUserPassword(this, candidatePassword);
+};
+
+// Instance method to check whether the password is still the one the
+// account was created with
+userSchema.methods.hasInitialPassword = function() {
+  return !!this.passwordChangedAt && !!this.createdAt &&
+    Math.abs(this.passwordChangedAt - this.createdAt) < 60 * 1000;
+};
+
+// Instance method to check if the account is temporarily locked
+userSchema.methods.isLocked = function() {
+  return !!this.lockUntil && this.lockUntil > new Date();
 };
 
-// Instance method to get user without password
+// Instance method to count a failed login, locking the account once the
+// limit is reached. Returns true if this failure locked the account.
+userSchema.methods.registerFailedLogin = async function() {
+  // Start counting again after an expired lock
+  if (this.lockUntil && this.lockUntil <= new Date()) {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+  }
+
+  this.failedLoginAttempts += 1;
+  this.lastFailedLoginAt = new Date();
+
+  const locked = this.failedLoginAttempts >= MAX_FAILED_LOGIN_ATTEMPTS;
+  if (locked) {
+    this.lockUntil = new Date(Date.now() + LOCK_DURATION_MS);
+  }
+
+  await this.save();
+  return locked;
+};
+
+// Instance method to clear failed login state
+userSchema.methods.resetLoginAttempts = function() {
+  this.failedLoginAttempts = 0;
+  this.lockUntil = undefined;
+  return this.save();
+};
+
+// Instance method to record a completed login. Written directly so that
+// it does not run the save hooks.
+userSchema.methods.recordLogin = function(ipAddress) {
+  const update = {
+    previousLoginAt: this.lastLoginAt,
+    previousLoginIp: this.lastLoginIp,
+    lastLoginAt: new Date(),
+    lastLoginIp: ipAddress
+  };
+  Object.assign(this, update);
+  return this.constructor.updateOne({ _id: this._id }, update);
+};
+
+// Instance method to check a TOTP or recovery code. A matching code is
+// consumed so it cannot be used again; it is claimed with a conditional
+// update, so of two requests presenting the same code only one succeeds.
+// Returns the kind of code accepted ('totp' or 'recovery'), or null.
+userSchema.methods.verifyTwoFactorCode = async function({ code, recoveryCode }) {
+  if (!this.twoFactor.enabled) {
+    return null;
+  }
+
+  if (code) {
+    const step = verifyCode(this.twoFactor.secret, code, this.twoFactor.lastUsedStep);
+    if (step === null) {
+      return null;
+    }
+    const claimed = await this.constructor.updateOne(
+      {
+        _id: this._id,
+        $or: [
+          { 'twoFactor.lastUsedStep': null },
+          { 'twoFactor.lastUsedStep': { $lt: step } }
+        ]
+      },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return null;
+    }
+    this.twoFactor.lastUsedStep = step;
+    return 'totp';
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    const index = this.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) {
+      return null;
+    }
+    const claimed = await this.constructor.updateOne(
+      { _id: this._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return null;
+    }
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return 'recovery';
+  }
+
+  return null;
+};
+
+// Instance method to turn off two-factor authentication
+userSchema.methods.clearTwoFactor = function() {
+  this.twoFactor = { enabled: false, recoveryCodes: [] };
+  return this.save();
+};
+
+// Instance method to get user without password or two-factor secrets
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.passwordHistory;
+  if (userObject.twoFactor) {
+    userObject.twoFactor = {
+      enabled: userObject.twoFactor.enabled,
+      enabledAt: userObject.twoFactor.enabledAt,
+      recoveryCodesRemaining: (userObject.twoFactor.recoveryCodes || []).length
+    };
+  }
   return userObject;
 };
 
@@ -68,10 +295,58 @@ userSchema.statics.findByUsername = function(username) {
   return this.findOne({ username: username.toLowerCase() });
 };
 
+// Static method to find user by email address
+userSchema.statics.findByEmail = function(email) {
+  return this.findOne({ email: email.toLowerCase() });
+};
+
 // Pre-save middleware to convert username to lowercase
 userSchema.pre('save', function(next) {
   this.username = this.username.toLowerCase();
   next();
 });
 
+// Static method to check that a role exists and that the court a user is
+// linked to suits the role's court scope. Returns an error message, or null.
+userSchema.statics.checkCourtAssignment = async function(roleName, courtId) {
+  const role = await mongoose.model('Role').findByName(roleName);
+  if (!role) {
+    return 'Invalid role';
+  }
+  if (role.courtScope === 'all') {
+    return null;
+  }
+
+  const court = courtId && await mongoose.model('Court').findById(courtId);
+  if (!court) {
+    return `A valid court is required for ${role.name} accounts`;
+  }
+  if (role.courtScope === 'circuit' && court.type !== 'circuit') {
+    return `${role.name} accounts must be linked to a circuit court`;
+  }
+
+  return null;
+};
+
+// Pre-save middleware to validate the role and court relationship
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('courtId') && !this.isModified('role')) return next();
+
+  try {
+    const error = await this.constructor.checkCourtAssignment(this.role, this.courtId);
+    if (error) {
+      throw new Error(error);
+    }
+
+    // Accounts that reach every court are not tied to one
+    const role = await mongoose.model('Role').findByName(this.role);
+    if (role.courtScope === 'all') {
+      this.courtId = undefined;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,306 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const Court = require('../models/Court');
+const { PERMISSIONS, COURT_SCOPES, SERVICE_DENIED_PERMISSIONS } = require('../config/permissions');
+const {
+  authenticateToken,
+  requirePermission,
+  permissionDenied,
+  canAccessCourt
+} = require('../middleware/auth');
+const router = express.Router();
+
+// Check that the caller may hand out the requested scopes and court reach.
+// Returns an error response to send, or null.
+const checkGrant = async (req, res, { scopes, courtScope, courtId }) => {
+  // Keys can only carry permissions their creator holds, and never ones
+  // that would let them mint keys or accounts
+  const notHeld = scopes.filter(scope => !req.user.permissions.includes(scope));
+  if (notHeld.length > 0) {
+    return permissionDenied(res, notHeld[0]);
+  }
+  const denied = scopes.filter(scope => SERVICE_DENIED_PERMISSIONS.includes(scope));
+  if (denied.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: `API keys cannot be granted ${denied.join(', ')}`
+    });
+  }
+
+  if (courtScope === 'all') {
+    return req.user.courtScope === 'all' ? null : permissionDenied(res, 'apikey:manage');
+  }
+
+  const court = courtId && await Court.findById(courtId);
+  if (!court || (courtScope === 'circuit' && court.type !== 'circuit')) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid court for the requested court scope'
+    });
+  }
+  if (!canAccessCourt(req.user, court._id)) {
+    return permissionDenied(res, 'apikey:manage');
+  }
+
+  return null;
+};
+
+// Get all API keys
+router.get('/', authenticateToken, requirePermission('apikey:manage'), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.includeRevoked !== 'true') {
+      query.revokedAt = null;
+    }
+
+    const apiKeys = await ApiKey.find(query)
+      .populate('createdBy', 'name username')
+      .populate('courtId', 'name type')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      apiKeys
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get API key by ID
+router.get('/:id', authenticateToken, requirePermission('apikey:manage'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id)
+      .populate('createdBy', 'name username')
+      .populate('revokedBy', 'name username')
+      .populate('courtId', 'name type');
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      apiKey
+    });
+  } catch (error) {
+    console.error('Get API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create new API key - the key itself is only returned in this response
+router.post('/', [
+  authenticateToken,
+  requirePermission('apikey:manage'),
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters long'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Unknown scope'),
+  body('courtScope')
+    .optional()
+    .isIn(COURT_SCOPES)
+    .withMessage('Invalid court scope'),
+  body('courtId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid court ID'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Expiry must be in the future')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, expiresAt, courtId } = req.body;
+    const scopes = [...new Set(req.body.scopes)];
+    const courtScope = req.body.courtScope || 'all';
+
+    const denied = await checkGrant(req, res, { scopes, courtScope, courtId });
+    if (denied) {
+      return denied;
+    }
+
+    const { key, prefix, secretHash } = ApiKey.generateKey();
+    const apiKey = new ApiKey({
+      name,
+      description,
+      prefix,
+      secretHash,
+      scopes,
+      courtScope,
+      courtId: courtScope === 'all' ? undefined : courtId,
+      expiresAt,
+      createdBy: req.user.userId
+    });
+    await apiKey.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created successfully. Store the key now; it will not be shown again.',
+      key,
+      apiKey
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update API key name, description, scopes or expiry
+router.put('/:id', [
+  authenticateToken,
+  requirePermission('apikey:manage'),
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters long'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  body('scopes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Unknown scope'),
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry must be a valid date')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Revoked API keys cannot be changed'
+      });
+    }
+
+    const { name, description, scopes, expiresAt } = req.body;
+
+    if (scopes) {
+      const uniqueScopes = [...new Set(scopes)];
+      const denied = await checkGrant(req, res, {
+        scopes: uniqueScopes,
+        courtScope: apiKey.courtScope,
+        courtId: apiKey.courtId
+      });
+      if (denied) {
+        return denied;
+      }
+      apiKey.scopes = uniqueScopes;
+    }
+
+    if (name) apiKey.name = name;
+    if (description !== undefined) apiKey.description = description;
+    if (expiresAt !== undefined) apiKey.expiresAt = expiresAt;
+
+    await apiKey.save();
+
+    res.json({
+      success: true,
+      message: 'API key updated successfully',
+      apiKey
+    });
+
+  } catch (error) {
+    console.error('Update API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Revoke API key
+router.delete('/:id', authenticateToken, requirePermission('apikey:manage'), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      apiKey.revokedBy = req.user.userId;
+      await apiKey.save();
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,7 @@
 // Simple authentication routes for in-memory storage
 const express = require('express');
-const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { verifyPassword } = require('../services/credential-service');
 const router = express.Router();
 
 // Login route
@@ -26,18 +26,10 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Find user
+    // Find user and check password; unknown users take as long to reject
     const user = await memoryStore.findUserByUsername(username);
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid credentials'
-      });
-    }
-
-    // Check password
-    const isValidPassword = await bcrypt.compare(password, user.password);
-    if (!isValidPassword) {
+    const { valid } = await verifyPassword(password, user && user.password);
+    if (!user || !valid) {
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -1,9 +1,88 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Role = require('../models/Role');
+const Court = require('../models/Court');
+const Session = require('../models/Session');
+const AuthEvent = require('../models/AuthEvent');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const {
+  issueSession,
+  rotateRefreshToken,
+  signChallengeToken,
+  verifyChallengeToken
+} = require('../services/token-service');
+const {
+  generateSecret,
+  buildOtpauthUri,
+  verifyCode,
+  generateRecoveryCodes
+} = require('../services/totp-service');
+const loginThrottle = require('../services/login-throttle');
+const { verifyPassword } = require('../services/credential-service');
+const {
+  createResetToken,
+  sendResetEmail,
+  findUsableResetToken,
+  consumeResetToken
+} = require('../services/password-reset-service');
+const {
+  validatePassword,
+  isPasswordExpired,
+  sendPolicyViolations
+} = require('../services/password-policy');
+const PasswordResetToken = require('../models/PasswordResetToken');
 const router = express.Router();
 
+// Validator: the value names an existing role
+const isExistingRole = async (value) => {
+  if (!(await Role.findByName(value))) {
+    throw new Error('Invalid role');
+  }
+  return true;
+};
+
+// Throttle two-factor code guesses per account, the same for every route
+// that checks a code, so no route can be used to guess without limit.
+// Returns the throttle key once the caller may try, or null after
+// answering with 429.
+const throttleTwoFactor = async (user, res) => {
+  const throttleKey = loginThrottle.getKey('two_factor', user._id.toString());
+  const retryAfter = loginThrottle.getRetryAfter(throttleKey);
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+      success: false,
+      message: 'Too many failed two-factor attempts. Please try again later.'
+    });
+    return null;
+  }
+  await loginThrottle.wait(throttleKey);
+  return throttleKey;
+};
+
+// Start a session and send the response for a completed login
+const completeLogin = async (user, req, res, extra = {}) => {
+  const tokens = await issueSession(user, req);
+  await user.recordLogin(req.ip);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    ...tokens,
+    ...extra,
+    user: {
+      id: user._id,
+      username: user.username,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      courtId: user.courtId
+    }
+  });
+};
+
 // Login route
 router.post('/login', [
   body('username')
@@ -27,13 +106,57 @@ router.post('/login', [
 
     const { username, password } = req.body;
 
-    // Find user by username
-    const user = await User.findOne({ username });
-    if (!user) {
+    // Throttle repeated failures from the same client for this username
+    const throttleKey = loginThrottle.getKey(req.ip, username);
+    const retryAfter = loginThrottle.getRetryAfter(throttleKey);
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed login attempts. Please try again later.'
+      });
+    }
+    await loginThrottle.wait(throttleKey);
+
+    // Every credential failure gets the same response so that callers
+    // cannot tell which usernames exist or which accounts are locked
+    const rejectLogin = () => {
+      loginThrottle.recordFailure(throttleKey);
       return res.status(401).json({
         success: false,
-        message: 'Invalid username'
+        message: 'Invalid credentials'
       });
+    };
+
+    // Find user by username
+    const user = await User.findByUsername(username);
+    if (!user) {
+      // Spend the same time as a real password check
+      await verifyPassword(password, null);
+      await AuthEvent.record('login_failed', { username, req, details: 'Unknown username' });
+      return rejectLogin();
+    }
+
+    // Locked accounts are rejected without checking the password
+    if (user.isLocked()) {
+      await verifyPassword(password, null);
+      await AuthEvent.record('login_blocked', { user, req, details: 'Account locked' });
+      return rejectLogin();
+    }
+
+    // Verify password; legacy or outdated hashes are upgraded on success
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+      const locked = await user.registerFailedLogin();
+      await AuthEvent.record('login_failed', { user, req, details: 'Invalid password' });
+      if (locked) {
+        await AuthEvent.record('account_locked', {
+          user,
+          req,
+          details: `Locked after ${user.failedLoginAttempts} failed attempts until ${user.lockUntil.toISOString()}`
+        });
+      }
+      return rejectLogin();
     }
 
     // Check if user is active
@@ -43,42 +166,64 @@ router.post('/login', [
         message: 'Account is deactivated'
       });
     }
-    if (!user) {
-  return res.status(401).json({
-    success: false,
-    message: 'user not found'
-  });
-}
 
-    // Verify password
-   if (password !== user.password) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+    loginThrottle.reset(throttleKey);
+    if (user.failedLoginAttempts > 0 || user.lockUntil) {
+      await user.resetLoginAttempts();
+    }
+
+    // An administrator has forced a reset; the old password no longer works.
+    // Accounts still on the password they were created with, such as the
+    // seeded ones, which have no email address, replace it here instead.
+    if (user.passwordResetRequired && user.hasInitialPassword()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Password must be changed before first use',
+        passwordResetRequired: true,
+        challengeToken: signChallengeToken(user, 'password_change')
+      });
+    }
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'Password reset required. Please use the link sent to your email.',
+        passwordResetRequired: true
+      });
+    }
+
+    const policy = await SecurityPolicy.getPolicy();
+
+    // Expired passwords must be changed before the login can continue
+    if (isPasswordExpired(user, policy.passwordPolicy)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Password has expired and must be changed',
+        passwordExpired: true,
+        challengeToken: signChallengeToken(user, 'password_change')
+      });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user._id, 
-        username: user.username, 
-        role: user.role 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '24h' }
-    );
+    // Enrolled users must confirm a code before a session is issued
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken(user, 'two_factor')
+      });
+    }
 
-    // Return success response with token and user info
-    res.json({
-      success: true,
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        name: user.name,
-        role: user.role,
-        circuitCourtId: user.circuitCourtId
-      }
-    });
+    // Roles that require two-factor authentication must enroll first
+    if (policy.requiresTwoFactor(user.role)) {
+      return res.json({
+        success: true,
+        message: 'Two-factor enrollment required',
+        twoFactorSetupRequired: true,
+        challengeToken: signChallengeToken(user, 'two_factor_enroll')
+      });
+    }
+
+    await completeLogin(user, req, res);
 
   } catch (error) {
     console.error('Login error:', error);
@@ -89,8 +234,10 @@ router.post('/login', [
   }
 });
 
-// Register route (admin only)
+// Register route (requires user:manage)
 router.post('/register', [
+  authenticateToken,
+  requirePermission('user:manage'),
   body('username')
     .trim()
     .isLength({ min: 3 })
@@ -98,15 +245,25 @@ router.post('/register', [
     .isAlphanumeric()
     .withMessage('Username must contain only letters and numbers'),
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
   body('name')
     .trim()
     .isLength({ min: 2 })
     .withMessage('Name must be at least 2 characters long'),
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email address'),
   body('role')
-    .isIn(['admin'])
-    .withMessage('Invalid role')
+    .custom(isExistingRole)
+    .withMessage('Invalid role'),
+  body('courtId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid court ID')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -119,7 +276,7 @@ router.post('/register', [
       });
     }
 
-    const { username, password, name, role, circuitCourtId } = req.body;
+    const { username, password, name, email, role, courtId } = req.body;
 
     // Check if username already exists
     const existingUser = await User.findByUsername(username);
@@ -130,18 +287,31 @@ router.post('/register', [
       });
     }
 
+    // Check the password policy
+    const policy = await SecurityPolicy.getPolicy();
+    const violations = await validatePassword(password, policy.passwordPolicy, { username });
+    if (violations.length > 0) {
+      return sendPolicyViolations(res, violations);
+    }
+
     // Create new user
     const userData = {
       username,
       password,
       name,
+      email,
       role
     };
 
-    // Add circuitCourtId for magisterial users
-    if (role === 'magisterial' && circuitCourtId) {
-      userData.circuitCourtId = circuitCourtId;
+    // Link court accounts to their court
+    const courtError = await User.checkCourtAssignment(role, courtId);
+    if (courtError) {
+      return res.status(400).json({
+        success: false,
+        message: courtError
+      });
     }
+    userData.courtId = courtId;
 
     const user = new User(userData);
     await user.save();
@@ -153,8 +323,9 @@ router.post('/register', [
         id: user._id,
         username: user.username,
         name: user.name,
+        email: user.email,
         role: user.role,
-        circuitCourtId: user.circuitCourtId
+        courtId: user.courtId
       }
     });
 
@@ -168,55 +339,808 @@ router.post('/register', [
 });
 
 // Verify token route
-router.get('/verify', async (req, res) => {
+router.get('/verify', authenticateToken, (req, res) => {
+  res.json({
+    success: true,
+    user: {
+      id: req.user.userId,
+      username: req.user.username,
+      name: req.user.name,
+      role: req.user.role,
+      courtId: req.user.courtId
+    }
+  });
+});
+
+// Middleware limiting a route to user accounts (not API keys)
+const requireUserAccount = (req, res, next) => {
+  if (req.user.principalType !== 'user') {
+    return res.status(403).json({
+      success: false,
+      message: 'Only available to user accounts'
+    });
+  }
+  next();
+};
+
+// Build the profile response for the current user
+const buildProfile = async (req, user) => {
+  const courtIds = req.user.courtIds;
+  const courts = courtIds
+    ? await Court.find({ _id: { $in: courtIds } })
+      .select('name type circuitCourtId')
+      .sort({ type: 1, name: 1 })
+    : null;
+  const ownCourt = user.courtId
+    ? await Court.findById(user.courtId).select('name type circuitCourtId')
+    : null;
+
+  return {
+    user: {
+      id: user._id,
+      username: user.username,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      preferences: user.preferences,
+      twoFactorEnabled: user.twoFactor.enabled,
+      passwordChangedAt: user.passwordChangedAt,
+      lastLoginAt: user.lastLoginAt,
+      lastLoginIp: user.lastLoginIp,
+      previousLoginAt: user.previousLoginAt,
+      previousLoginIp: user.previousLoginIp,
+      createdAt: user.createdAt
+    },
+    permissions: req.user.permissions,
+    courtScope: {
+      type: req.user.courtScope,
+      court: ownCourt,
+      // null means every court
+      courts
+    }
+  };
+};
+
+// Get the current user's profile
+router.get('/me', authenticateToken, requireUserAccount, async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
+    const user = await User.findById(req.user.userId);
+
+    res.json({
+      success: true,
+      ...(await buildProfile(req, user))
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update the current user's name, email and preferences
+router.put('/me', [
+  authenticateToken,
+  requireUserAccount,
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters long'),
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email address'),
+  body('preferences.theme')
+    .optional()
+    .isIn(['light', 'dark', 'system'])
+    .withMessage('Invalid theme'),
+  body('preferences.language')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 10 })
+    .withMessage('Invalid language'),
+  body('preferences.pageSize')
+    .optional()
+    .isInt({ min: 10, max: 200 })
+    .withMessage('Page size must be between 10 and 200'),
+  body('preferences.emailNotifications')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Email notifications must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    const { name, email, preferences } = req.body;
+
+    if (name) user.name = name;
+    if (email) user.email = email;
+    if (preferences) {
+      ['theme', 'language', 'pageSize', 'emailNotifications'].forEach(field => {
+        if (preferences[field] !== undefined) {
+          user.preferences[field] = preferences[field];
+        }
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Profile updated successfully',
+      ...(await buildProfile(req, user))
+    });
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Exchange a refresh token for a new access and refresh token
+router.post('/refresh', [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await rotateRefreshToken(req.body.refreshToken);
+    if (!result) {
       return res.status(401).json({
         success: false,
-        message: 'No token provided'
+        message: 'Invalid or expired refresh token'
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
-    
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      ...result.tokens
+    });
+
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Logout route - revokes the current session
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    const session = await Session.findById(req.user.sessionId);
+    if (session && !session.revokedAt) {
+      await session.revoke('logout');
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Logout everywhere - revokes every session of the current user
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user.userId, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Logged out of all sessions successfully',
+      revokedSessions: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Middleware for two-factor enrollment: accepts either a normal access
+// token for a user account or the enrollment challenge token issued by
+// /login
+const authenticateEnrollment = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticateToken(req, res, () => requireUserAccount(req, res, async () => {
+      try {
+        req.enrollingUser = await User.findById(req.user.userId);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    }));
+  }
+
+  try {
+    const decoded = verifyChallengeToken(req.body.challengeToken, 'two_factor_enroll');
+    const user = decoded && await User.findById(decoded.userId);
     if (!user || !user.isActive) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid token or user not found'
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    req.enrollingUser = user;
+    req.completesLogin = true;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start two-factor enrollment - returns a new secret and otpauth URI
+router.post('/2fa/setup', authenticateEnrollment, async (req, res) => {
+  try {
+    const user = req.enrollingUser;
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
       });
     }
 
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
     res.json({
       success: true,
-      user: {
-        id: user._id,
-        username: user.username,
-        name: user.name,
-        role: user.role,
-        circuitCourtId: user.circuitCourtId
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.username)
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Finish two-factor enrollment - confirms the first code
+router.post('/2fa/enable', [
+  authenticateEnrollment,
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = req.enrollingUser;
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor setup has not been started'
+      });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: undefined,
+      recoveryCodes: recoveryCodes.hashes,
+      lastUsedStep: step,
+      enabledAt: new Date()
+    };
+    await user.save();
+    await AuthEvent.record('two_factor_enabled', { user, req });
+
+    // Enrollment during login finishes the login too
+    if (req.completesLogin) {
+      return completeLogin(user, req, res, { recoveryCodes: recoveryCodes.codes });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+      recoveryCodes: recoveryCodes.codes
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Second login step - exchanges the challenge token and a code for a session
+router.post('/2fa/verify', [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body()
+    .custom(value => !!(value.code || value.recoveryCode))
+    .withMessage('A two-factor code or recovery code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const decoded = verifyChallengeToken(challengeToken, 'two_factor');
+    const user = decoded && await User.findById(decoded.userId);
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    // Limit guesses per account, not per challenge token
+    const throttleKey = await throttleTwoFactor(user, res);
+    if (!throttleKey) {
+      return;
+    }
+
+    const method = await user.verifyTwoFactorCode({ code, recoveryCode });
+    if (!method) {
+      loginThrottle.recordFailure(throttleKey);
+      await AuthEvent.record('two_factor_failed', { user, req });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    loginThrottle.reset(throttleKey);
+
+    const extra = {};
+    if (method === 'recovery') {
+      extra.recoveryCodesRemaining = user.twoFactor.recoveryCodes.length;
+    }
+    await completeLogin(user, req, res, extra);
+
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Generate a new set of recovery codes
+router.post('/2fa/recovery-codes', [
+  authenticateToken,
+  requireUserAccount,
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const throttleKey = await throttleTwoFactor(user, res);
+    if (!throttleKey) {
+      return;
+    }
+
+    if (!(await user.verifyTwoFactorCode({ code: req.body.code }))) {
+      loginThrottle.recordFailure(throttleKey);
+      await AuthEvent.record('two_factor_failed', { user, req });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+    loginThrottle.reset(throttleKey);
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recoveryCodes.hashes;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated. Earlier codes no longer work.',
+      recoveryCodes: recoveryCodes.codes
+    });
+
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Turn off two-factor authentication for the current user
+router.post('/2fa/disable', [
+  authenticateToken,
+  requireUserAccount,
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit code is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user.userId);
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const policy = await SecurityPolicy.getPolicy();
+    if (policy.requiresTwoFactor(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is required for your role'
+      });
+    }
+
+    const throttleKey = await throttleTwoFactor(user, res);
+    if (!throttleKey) {
+      return;
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid || !(await user.verifyTwoFactorCode({ code: req.body.code }))) {
+      loginThrottle.recordFailure(throttleKey);
+      await AuthEvent.record('two_factor_failed', { user, req });
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or two-factor code'
+      });
+    }
+    loginThrottle.reset(throttleKey);
+
+    await user.clearTwoFactor();
+    await AuthEvent.record('two_factor_disabled', { user, req });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get the password policy, so clients can show the rules
+router.get('/password-policy', async (req, res) => {
+  try {
+    const policy = await SecurityPolicy.getPolicy();
+    const { blockedPasswords, ...passwordPolicy } = policy.passwordPolicy.toObject();
+
+    res.json({
+      success: true,
+      passwordPolicy
+    });
+  } catch (error) {
+    console.error('Get password policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Change an expired or initial password using the challenge token issued
+// by /login
+router.post('/expired-password', [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('newPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { challengeToken, newPassword } = req.body;
+
+    const decoded = verifyChallengeToken(challengeToken, 'password_change');
+    const user = decoded && await User.findById(decoded.userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+
+    const policy = await SecurityPolicy.getPolicy();
+    const violations = await validatePassword(newPassword, policy.passwordPolicy, user);
+    if (violations.length > 0) {
+      return sendPolicyViolations(res, violations);
+    }
+
+    user.password = newPassword;
+    user.passwordResetRequired = false;
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'password_changed');
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Expired password change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Forgot password route - emails a one-time reset link
+router.post('/forgot-password', [
+  body('username')
+    .optional()
+    .trim()
+    .isLength({ min: 3 })
+    .withMessage('Username must be at least 3 characters long'),
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email address'),
+  body()
+    .custom(value => !!(value.username || value.email))
+    .withMessage('Username or email is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { username, email } = req.body;
+
+    // Every request counts, whether or not an account matches, so reset
+    // emails cannot be used to flood an address and the limit reveals nothing
+    const throttleKeys = [
+      loginThrottle.getKey('password_reset', username || email),
+      loginThrottle.getKey('password_reset_ip', req.ip)
+    ];
+    const retryAfter = Math.max(...throttleKeys.map(loginThrottle.getRetryAfter));
+    if (retryAfter > 0) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many password reset requests. Please try again later.'
+      });
+    }
+    await loginThrottle.wait(throttleKeys[0]);
+    throttleKeys.forEach(loginThrottle.recordFailure);
+
+    const user = username
+      ? await User.findByUsername(username)
+      : await User.findByEmail(email);
+
+    // Only send when the account can actually receive the email
+    if (user && user.isActive && user.email && (!email || user.email === email.toLowerCase())) {
+      const token = await createResetToken(user, { req });
+      try {
+        await sendResetEmail(user, token);
+        await AuthEvent.record('password_reset_requested', { user, req });
+      } catch (error) {
+        // Logged rather than answered, so a mail failure does not reveal the account
+        console.error('Send password reset email error:', error);
       }
+    }
+
+    // Same response either way so callers cannot probe for accounts
+    res.json({
+      success: true,
+      message: 'If an account matches the details provided, a password reset link has been sent.'
     });
 
   } catch (error) {
-    console.error('Token verification error:', error);
-    res.status(401).json({
+    console.error('Forgot password error:', error);
+    res.status(500).json({
       success: false,
-      message: 'Invalid token'
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Reset password route - uses a one-time reset token
+router.post('/reset-password', [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('newPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, newPassword } = req.body;
+
+    const resetToken = await findUsableResetToken(token);
+    const user = resetToken && await User.findById(resetToken.userId);
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Check the password policy before using up the token
+    const policy = await SecurityPolicy.getPolicy();
+    const violations = await validatePassword(newPassword, policy.passwordPolicy, user);
+    if (violations.length > 0) {
+      return sendPolicyViolations(res, violations);
+    }
+
+    // Claim the token; a concurrent request may have used it first
+    if (!(await consumeResetToken(token))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid or expired reset token'
+      });
+    }
+
+    // Update password and clear any lockout or forced reset
+    user.password = newPassword;
+    user.passwordResetRequired = false;
+    user.failedLoginAttempts = 0;
+    user.lockUntil = undefined;
+    await user.save();
+
+    await PasswordResetToken.invalidateForUser(user._id);
+    await Session.revokeAllForUser(user._id, 'password_reset');
+    await AuthEvent.record('password_reset', { user, req });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
     });
   }
 });
 
 // Change password route
 router.post('/change-password', [
+  authenticateToken,
   body('currentPassword')
     .isLength({ min: 6 })
     .withMessage('Current password is required'),
   body('newPassword')
-    .isLength({ min: 6 })
-    .withMessage('New password must be at least 6 characters long')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -229,17 +1153,7 @@ router.post('/change-password', [
       });
     }
 
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No token provided'
-      });
-    }
-
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    const user = await User.findById(req.user.userId);
     
     if (!user) {
       return res.status(401).json({
@@ -259,10 +1173,20 @@ router.post('/change-password', [
       });
     }
 
+    // Check the password policy
+    const policy = await SecurityPolicy.getPolicy();
+    const violations = await validatePassword(newPassword, policy.passwordPolicy, user);
+    if (violations.length > 0) {
+      return sendPolicyViolations(res, violations);
+    }
+
     // Update password
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other session that used the old password
+    await Session.revokeAllForUser(user._id, 'password_changed', req.user.sessionId);
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -1,14 +1,28 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Court = require('../models/Court');
 const User = require('../models/User');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const {
+  EXPORT_FORMATS,
+  COURT_COLUMNS,
+  DEFAULT_COURT_COLUMNS,
+  selectColumns,
+  exportCourts
+} = require('../services/export');
+const {
+  authenticateToken,
+  requirePermission,
+  hasPermission,
+  scopes,
+  courtScopeFilter
+} = require('../middleware/auth');
 const router = express.Router();
 
 // Get all circuit courts
-router.get('/circuit', authenticateToken, async (req, res) => {
+router.get('/circuit', authenticateToken, requirePermission('court:read'), async (req, res) => {
   try {
-    const courts = await Court.getCircuitCourts();
+    const courts = await Court.getCircuitCourts()
+      .where(courtScopeFilter(req.user, '_id'));
     
     res.json({
       success: true,
@@ -24,9 +38,10 @@ router.get('/circuit', authenticateToken, async (req, res) => {
 });
 
 // Get all magisterial courts
-router.get('/magisterial', authenticateToken, async (req, res) => {
+router.get('/magisterial', authenticateToken, requirePermission('court:read'), async (req, res) => {
   try {
-    const courts = await Court.getAllMagisterialCourts();
+    const courts = await Court.getAllMagisterialCourts()
+      .where(courtScopeFilter(req.user, '_id'));
     
     res.json({
       success: true,
@@ -42,10 +57,11 @@ router.get('/magisterial', authenticateToken, async (req, res) => {
 });
 
 // Get magisterial courts by circuit court ID
-router.get('/circuit/:circuitId/magisterial', authenticateToken, async (req, res) => {
+router.get('/circuit/:circuitId/magisterial', authenticateToken, requirePermission('court:read'), async (req, res) => {
   try {
     const { circuitId } = req.params;
-    const courts = await Court.getMagisterialCourts(circuitId);
+    const courts = await Court.getMagisterialCourts(circuitId)
+      .where(courtScopeFilter(req.user, '_id'));
     
     res.json({
       success: true,
@@ -60,11 +76,79 @@ router.get('/circuit/:circuitId/magisterial', authenticateToken, async (req, res
   }
 });
 
+// Export courts visible to the user as CSV, XLSX or a PDF grouped by
+// circuit. Filters match the listing routes: type, circuit and (unlike the
+// listings) optionally inactive courts.
+router.get('/export', [
+  authenticateToken,
+  requirePermission('court:read'),
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of ${EXPORT_FORMATS.join(', ')}`),
+  query('columns')
+    .optional()
+    .custom(value => String(value).split(',').every(key => COURT_COLUMNS[key.trim()]))
+    .withMessage(`Columns must be from ${Object.keys(COURT_COLUMNS).join(', ')}`),
+  query('type')
+    .optional()
+    .isIn(['circuit', 'magisterial'])
+    .withMessage('Invalid court type'),
+  query('circuitId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid circuit court ID'),
+  query('includeInactive')
+    .optional()
+    .isBoolean()
+    .withMessage('includeInactive must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { ...courtScopeFilter(req.user, '_id') };
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+    if (req.query.circuitId) {
+      // The circuit court itself and the magisterial courts under it
+      filter.$or = [{ _id: req.query.circuitId }, { circuitCourtId: req.query.circuitId }];
+    }
+    if (req.query.includeInactive !== 'true') {
+      filter.isActive = true;
+    }
+
+    await exportCourts(res, {
+      format: req.query.format || 'csv',
+      columns: selectColumns(COURT_COLUMNS, req.query.columns, DEFAULT_COURT_COLUMNS,
+        permission => hasPermission(req.user, permission)),
+      courtFilter: filter
+    });
+  } catch (error) {
+    console.error('Export courts error:', error);
+    // Once streaming has started the response can only be cut short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Get court by ID
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', authenticateToken, requirePermission('court:read', scopes.param('id')), async (req, res) => {
   try {
     const court = await Court.findById(req.params.id)
-      .populate('userId', 'name username')
       .populate('circuitCourtId', 'name');
     
     if (!court) {
@@ -73,10 +157,16 @@ router.get('/:id', authenticateToken, async (req, res) => {
         message: 'Court not found'
       });
     }
+
+    // Court accounts linked to this court
+    const users = await User.find({ courtId: court._id, isActive: true })
+      .select('name username role')
+      .sort({ name: 1 });
     
     res.json({
       success: true,
-      court
+      court,
+      users
     });
   } catch (error) {
     console.error('Get court error:', error);
@@ -87,10 +177,10 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Create new circuit court (admin only)
+// Create new circuit court (unrestricted court scope only)
 router.post('/circuit', [
   authenticateToken,
-  requireRole(['admin']),
+  requirePermission('court:create', scopes.global),
   body('name')
     .trim()
     .isLength({ min: 2 })
@@ -140,10 +230,10 @@ router.post('/circuit', [
   }
 });
 
-// Create new magisterial court (admin or circuit court)
+// Create new magisterial court under a circuit court the user can access
 router.post('/magisterial', [
   authenticateToken,
-  requireRole(['admin']),
+  requirePermission('court:create', scopes.body('circuitCourtId')),
   body('name')
     .trim()
     .isLength({ min: 2 })
@@ -214,11 +304,16 @@ router.post('/magisterial', [
 // Update court
 router.put('/:id', [
   authenticateToken,
+  requirePermission('court:update', scopes.param('id')),
   body('name')
     .optional()
     .trim()
     .isLength({ min: 2 })
-    .withMessage('Court name must be at least 2 characters long')
+    .withMessage('Court name must be at least 2 characters long'),
+  body('requiresTransferApproval')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Transfer approval setting must be true or false')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -232,7 +327,7 @@ router.put('/:id', [
     }
 
     const courtId = req.params.id;
-    const { name, address, contactInfo, description } = req.body;
+    const { name, address, contactInfo, description, requiresTransferApproval } = req.body;
 
     const court = await Court.findById(courtId);
     if (!court) {
@@ -242,19 +337,12 @@ router.put('/:id', [
       });
     }
 
-    // Only admin can update courts
-    if (req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
-
     // Update court fields
     if (name) court.name = name;
     if (address) court.address = address;
     if (contactInfo) court.contactInfo = contactInfo;
     if (description) court.description = description;
+    if (requiresTransferApproval !== undefined) court.requiresTransferApproval = requiresTransferApproval;
 
     await court.save();
     await court.populate('circuitCourtId', 'name');
@@ -274,8 +362,8 @@ router.put('/:id', [
   }
 });
 
-// Deactivate court (admin only)
-router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+// Deactivate court
+router.delete('/:id', authenticateToken, requirePermission('court:delete', scopes.param('id')), async (req, res) => {
   try {
     const courtId = req.params.id;
 
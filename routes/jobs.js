@@ -0,0 +1,216 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const { getDefinition, runJob } = require('../services/job-scheduler');
+const { authenticateToken, requirePermission, scopes } = require('../middleware/auth');
+const router = express.Router();
+
+// Get all background jobs and their schedule
+router.get('/', authenticateToken, requirePermission('job:manage', scopes.global), async (req, res) => {
+  try {
+    const jobs = await Job.find({}).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      jobs: jobs.map(job => ({
+        ...job.toJSON(),
+        registered: !!getDefinition(job.name),
+        running: job.isLocked()
+      }))
+    });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get job by name, with its most recent runs
+router.get('/:name', authenticateToken, requirePermission('job:manage', scopes.global), async (req, res) => {
+  try {
+    const job = await Job.findOne({ name: req.params.name });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const recentRuns = await JobRun.find({ jobName: job.name })
+      .sort({ startedAt: -1 })
+      .limit(10);
+
+    res.json({
+      success: true,
+      job: {
+        ...job.toJSON(),
+        registered: !!getDefinition(job.name),
+        running: job.isLocked()
+      },
+      recentRuns
+    });
+  } catch (error) {
+    console.error('Get job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get the run history of a job
+router.get('/:name/runs', [
+  authenticateToken,
+  requirePermission('job:manage', scopes.global),
+  query('status')
+    .optional()
+    .isIn(['running', 'succeeded', 'failed'])
+    .withMessage('Invalid run status'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = { jobName: req.params.name };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const runs = await JobRun.find(filter)
+      .populate('triggeredBy', 'name username')
+      .sort({ startedAt: -1 })
+      .limit(parseInt(req.query.limit, 10) || 50);
+
+    res.json({
+      success: true,
+      runs
+    });
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Run a job now
+router.post('/:name/run', authenticateToken, requirePermission('job:manage', scopes.global), async (req, res) => {
+  try {
+    if (!getDefinition(req.params.name) || !(await Job.exists({ name: req.params.name }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const run = await runJob(req.params.name, {
+      trigger: 'manual',
+      triggeredBy: req.user.userId || undefined
+    });
+    if (!run) {
+      return res.status(409).json({
+        success: false,
+        message: 'Job is already running'
+      });
+    }
+
+    res.json({
+      success: run.status === 'succeeded',
+      message: run.status === 'succeeded' ? 'Job completed successfully' : 'Job failed',
+      run
+    });
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update a job's schedule and retry settings
+router.put('/:name', [
+  authenticateToken,
+  requirePermission('job:manage', scopes.global),
+  body('enabled')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Enabled must be true or false'),
+  body('intervalMinutes')
+    .optional()
+    .isInt({ min: 1, max: 7 * 24 * 60 })
+    .withMessage('Interval must be between 1 minute and 7 days'),
+  body('maxRetries')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Retries must be between 0 and 10'),
+  body('retryDelayMinutes')
+    .optional()
+    .isInt({ min: 1, max: 24 * 60 })
+    .withMessage('Retry delay must be between 1 minute and 1 day')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const job = await Job.findOne({ name: req.params.name });
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const { enabled, intervalMinutes, maxRetries, retryDelayMinutes } = req.body;
+
+    if (enabled !== undefined) job.enabled = enabled;
+    if (intervalMinutes !== undefined) {
+      job.intervalMinutes = intervalMinutes;
+      // Bring the next run forward if the new interval is shorter
+      const nextRunAt = new Date((job.lastRunAt || new Date()).getTime() + intervalMinutes * 60 * 1000);
+      if (nextRunAt < job.nextRunAt) {
+        job.nextRunAt = nextRunAt;
+      }
+    }
+    if (maxRetries !== undefined) job.maxRetries = maxRetries;
+    if (retryDelayMinutes !== undefined) job.retryDelayMinutes = retryDelayMinutes;
+
+    await job.save();
+
+    res.json({
+      success: true,
+      message: 'Job updated successfully',
+      job
+    });
+  } catch (error) {
+    console.error('Update job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,595 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Staff = require('../models/Staff');
+const Court = require('../models/Court');
+const LeaveRequest = require('../models/LeaveRequest');
+const LeaveEntitlement = require('../models/LeaveEntitlement');
+const { LEAVE_TYPES } = require('../config/leave-types');
+const {
+  toDay,
+  countLeaveDays,
+  getBalances,
+  startApprovedLeave,
+  cancelLeave
+} = require('../services/leave-service');
+const {
+  authenticateToken,
+  requirePermission,
+  scopes,
+  courtScopeFilter
+} = require('../middleware/auth');
+const router = express.Router();
+
+// Scope resolvers: the court of the staff member in the request body or
+// route, or of the staff member a leave request belongs to
+const staffCourt = async (staffId) => {
+  if (!mongoose.isValidObjectId(staffId)) {
+    return null;
+  }
+  const staff = await Staff.findById(staffId).select('courtId');
+  return staff ? staff.courtId : null;
+};
+
+const bodyStaffScope = (req) => staffCourt(req.body.staffId);
+const paramStaffScope = (req) => staffCourt(req.params.staffId);
+const requestStaffScope = async (req) => {
+  const request = await LeaveRequest.findById(req.params.id).select('staffId');
+  return request ? staffCourt(request.staffId) : null;
+};
+
+const populateStaff = { path: 'staffId', select: 'name position courtId employmentStatus' };
+
+// Get the leave types and their default entitlements
+router.get('/types', authenticateToken, requirePermission('staff:read'), (req, res) => {
+  res.json({
+    success: true,
+    leaveTypes: Object.keys(LEAVE_TYPES).map(leaveType => ({
+      leaveType,
+      ...LEAVE_TYPES[leaveType]
+    }))
+  });
+});
+
+// Get leave requests for staff in the user's courts
+router.get('/requests', [
+  authenticateToken,
+  requirePermission('staff:read'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected', 'cancelled'])
+    .withMessage('Invalid leave status'),
+  query('staffId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid staff ID'),
+  query('courtId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid court ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const staffConditions = [courtScopeFilter(req.user)];
+    if (req.query.courtId) {
+      staffConditions.push({ courtId: req.query.courtId });
+    }
+    if (req.query.staffId) {
+      staffConditions.push({ _id: req.query.staffId });
+    }
+    const staffIds = await Staff.find({ $and: staffConditions }).distinct('_id');
+
+    const filter = { staffId: { $in: staffIds } };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const requests = await LeaveRequest.find(filter)
+      .populate(populateStaff)
+      .sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      requests
+    });
+  } catch (error) {
+    console.error('Get leave requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get leave request by ID
+router.get('/requests/:id', authenticateToken, requirePermission('staff:read', requestStaffScope), async (req, res) => {
+  try {
+    const request = await LeaveRequest.findById(req.params.id)
+      .populate(populateStaff)
+      .populate('requestedBy', 'name username')
+      .populate('decidedBy', 'name username');
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      request
+    });
+  } catch (error) {
+    console.error('Get leave request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Request leave for a staff member
+router.post('/requests', [
+  authenticateToken,
+  body('staffId')
+    .isMongoId()
+    .withMessage('Invalid staff ID'),
+  requirePermission('leave:request', bodyStaffScope),
+  body('leaveType')
+    .isIn(Object.keys(LEAVE_TYPES))
+    .withMessage('Invalid leave type'),
+  body('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+  body('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid date')
+    .custom((value, { req }) => toDay(value) >= toDay(req.body.startDate))
+    .withMessage('End date must not be before the start date')
+    .custom((value, { req }) => toDay(value).getUTCFullYear() === toDay(req.body.startDate).getUTCFullYear())
+    .withMessage('Leave cannot span calendar years; submit one request per year'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason must not exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { staffId, leaveType, reason } = req.body;
+    const startDate = toDay(req.body.startDate);
+    const endDate = toDay(req.body.endDate);
+
+    const staff = await Staff.findById(staffId);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+    if (!['active', 'on_leave'].includes(staff.employmentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Leave can only be requested for current staff'
+      });
+    }
+
+    const days = countLeaveDays(startDate, endDate);
+    if (days === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Leave must include at least one working day'
+      });
+    }
+
+    if (await LeaveRequest.findOverlapping(staff._id, startDate, endDate)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Leave overlaps another pending or approved request'
+      });
+    }
+
+    const balances = await getBalances(staff._id, startDate.getUTCFullYear());
+    const balance = balances.find(entry => entry.leaveType === leaveType);
+    if (days > balance.remaining) {
+      return res.status(400).json({
+        success: false,
+        message: `Insufficient ${leaveType} leave balance`,
+        requestedDays: days,
+        balance
+      });
+    }
+
+    const request = new LeaveRequest({
+      staffId: staff._id,
+      leaveType,
+      startDate,
+      endDate,
+      days,
+      reason,
+      requestedBy: req.user.userId || undefined,
+      requestedByName: req.user.name || req.user.username
+    });
+    await request.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Leave requested successfully',
+      request
+    });
+
+  } catch (error) {
+    console.error('Request leave error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Approve or reject a pending leave request
+const decideLeave = (approved) => async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await LeaveRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave request not found'
+      });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending leave requests can be approved or rejected'
+      });
+    }
+
+    // Another request may have been approved since this one was made
+    if (approved) {
+      const overlapping = await LeaveRequest.findOne({
+        _id: { $ne: request._id },
+        staffId: request.staffId,
+        status: 'approved',
+        startDate: { $lte: request.endDate },
+        endDate: { $gte: request.startDate }
+      });
+      if (overlapping) {
+        return res.status(400).json({
+          success: false,
+          message: 'Leave overlaps an approved request'
+        });
+      }
+
+      // Pending requests that each fit the balance may not fit together
+      const balances = await getBalances(request.staffId, request.startDate.getUTCFullYear());
+      const balance = balances.find(entry => entry.leaveType === request.leaveType);
+      if (request.days > balance.entitled - balance.approved) {
+        return res.status(400).json({
+          success: false,
+          message: `Insufficient ${request.leaveType} leave balance`,
+          requestedDays: request.days,
+          balance
+        });
+      }
+    }
+
+    // Only one decision can move the request on from pending
+    const decided = await LeaveRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      {
+        $set: {
+          status: approved ? 'approved' : 'rejected',
+          decidedBy: req.user.userId || undefined,
+          decidedByName: req.user.name || req.user.username,
+          decidedAt: new Date(),
+          decisionNotes: req.body.notes
+        }
+      },
+      { new: true }
+    );
+    if (!decided) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending leave requests can be approved or rejected'
+      });
+    }
+
+    // Leave that has already begun takes effect straight away
+    if (approved) {
+      await startApprovedLeave(decided);
+    }
+
+    res.json({
+      success: true,
+      message: approved ? 'Leave approved successfully' : 'Leave rejected',
+      request: await LeaveRequest.findById(request._id).populate(populateStaff)
+    });
+
+  } catch (error) {
+    console.error('Decide leave error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+const decisionValidators = [
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+router.post('/requests/:id/approve', [
+  authenticateToken,
+  requirePermission('leave:approve', requestStaffScope),
+  ...decisionValidators
+], decideLeave(true));
+
+router.post('/requests/:id/reject', [
+  authenticateToken,
+  requirePermission('leave:approve', requestStaffScope),
+  ...decisionValidators
+], decideLeave(false));
+
+// Cancel a leave request, or end leave in progress early
+router.post('/requests/:id/cancel', [
+  authenticateToken,
+  requirePermission('leave:request', requestStaffScope),
+  ...decisionValidators
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const request = await LeaveRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave request not found'
+      });
+    }
+
+    if (!['pending', 'approved'].includes(request.status) || request.returnedAt ||
+        request.endDate < toDay(new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending or upcoming leave, or leave in progress, can be cancelled'
+      });
+    }
+
+    const inProgress = request.isInProgress();
+    await cancelLeave(request, {
+      decidedBy: req.user.userId || undefined,
+      decidedByName: req.user.name || req.user.username,
+      notes: req.body.notes
+    });
+
+    res.json({
+      success: true,
+      message: inProgress ? 'Leave ended early' : 'Leave request cancelled',
+      request
+    });
+
+  } catch (error) {
+    console.error('Cancel leave error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a staff member's leave balances for a year
+router.get('/balances/:staffId', [
+  authenticateToken,
+  requirePermission('staff:read', paramStaffScope),
+  query('year')
+    .optional()
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Invalid year')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const staff = await Staff.findById(req.params.staffId).select('name');
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const year = parseInt(req.query.year, 10) || new Date().getUTCFullYear();
+
+    res.json({
+      success: true,
+      staffId: staff._id,
+      name: staff.name,
+      year,
+      balances: await getBalances(staff._id, year)
+    });
+  } catch (error) {
+    console.error('Get leave balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Set a staff member's entitlement for a leave type and year
+router.put('/entitlements/:staffId', [
+  authenticateToken,
+  requirePermission('leave:manage', paramStaffScope),
+  body('year')
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Invalid year'),
+  body('leaveType')
+    .isIn(Object.keys(LEAVE_TYPES))
+    .withMessage('Invalid leave type'),
+  body('days')
+    .isFloat({ min: 0, max: 366 })
+    .withMessage('Days must be between 0 and 366'),
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes must not exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const staff = await Staff.findById(req.params.staffId).select('name');
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const { leaveType, notes } = req.body;
+    const year = parseInt(req.body.year, 10);
+
+    const entitlement = await LeaveEntitlement.findOneAndUpdate(
+      { staffId: staff._id, year, leaveType },
+      { days: Number(req.body.days), notes, updatedBy: req.user.userId || undefined },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json({
+      success: true,
+      message: 'Leave entitlement updated successfully',
+      entitlement,
+      balances: await getBalances(staff._id, year)
+    });
+  } catch (error) {
+    console.error('Update leave entitlement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get the leave calendar of a court: approved and pending leave of its
+// staff that overlaps the period (the current month by default)
+router.get('/calendar', [
+  authenticateToken,
+  query('courtId')
+    .isMongoId()
+    .withMessage('Invalid court ID'),
+  requirePermission('staff:read', scopes.query('courtId')),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Calendar dates must be valid dates'),
+  query('includePending')
+    .optional()
+    .isBoolean()
+    .withMessage('includePending must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const court = await Court.findById(req.query.courtId).select('name type');
+    if (!court) {
+      return res.status(404).json({
+        success: false,
+        message: 'Court not found'
+      });
+    }
+
+    const now = new Date();
+    const from = toDay(req.query.from || Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const to = toDay(req.query.to || Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 0));
+
+    const staffIds = await Staff.find({ courtId: court._id }).distinct('_id');
+    const statuses = req.query.includePending === 'true' ? ['approved', 'pending'] : ['approved'];
+
+    const leave = await LeaveRequest.find({
+      staffId: { $in: staffIds },
+      status: { $in: statuses },
+      startDate: { $lte: to },
+      endDate: { $gte: from }
+    })
+      .populate('staffId', 'name position')
+      .sort({ startDate: 1 });
+
+    res.json({
+      success: true,
+      court,
+      period: { from, to },
+      leave
+    });
+  } catch (error) {
+    console.error('Get leave calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,359 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const PayScale = require('../models/PayScale');
+const Position = require('../models/Position');
+const { INCREMENT_METHODS, SalaryError, applyIncrement } = require('../services/salary-service');
+const {
+  authenticateToken,
+  requirePermission,
+  scopes
+} = require('../middleware/auth');
+const router = express.Router();
+
+// Validators shared by the create and update routes
+const scaleValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('code')
+      .trim()
+      .matches(/^[A-Za-z0-9][A-Za-z0-9_-]{0,19}$/)
+      .withMessage('Code must be up to 20 letters, numbers, dashes and underscores'),
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2 and 100 characters long'),
+    field('grades')
+      .isArray({ min: 1 })
+      .withMessage('Grades must be a non-empty list')
+      .bail()
+      .custom(grades => {
+        const names = grades.map(entry => String(entry && entry.grade).trim().toLowerCase());
+        return new Set(names).size === names.length;
+      })
+      .withMessage('Grades must be unique within a pay scale'),
+    body('grades.*.grade')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 20 })
+      .withMessage('Each grade needs a name of up to 20 characters'),
+    body('grades.*.steps')
+      .isArray({ min: 1 })
+      .withMessage('Each grade needs at least one step'),
+    body('grades.*.steps.*')
+      .isFloat({ min: 0 })
+      .withMessage('Step amounts must be 0 or more'),
+    body('currency')
+      .optional()
+      .matches(/^[A-Za-z]{3}$/)
+      .withMessage('Currency must be a three-letter code'),
+    body('description')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Description must not exceed 500 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Active flag must be true or false')
+  ];
+};
+
+// Step amounts as numbers, in case they were sent as strings
+const normalizeGrades = (grades) => grades.map(({ grade, steps }) => ({
+  grade,
+  steps: steps.map(Number)
+}));
+
+// Get all pay scales
+router.get('/', authenticateToken, requirePermission('staff:read:salary'), async (req, res) => {
+  try {
+    const payScales = await PayScale.find({}).sort({ code: 1 });
+
+    res.json({
+      success: true,
+      payScales
+    });
+  } catch (error) {
+    console.error('Get pay scales error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get pay scale by ID, with the positions paid on it
+router.get('/:id', authenticateToken, requirePermission('staff:read:salary'), async (req, res) => {
+  try {
+    const payScale = await PayScale.findById(req.params.id);
+    if (!payScale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pay scale not found'
+      });
+    }
+
+    const positions = await Position.find({ payScaleId: payScale._id })
+      .select('code title grade isActive')
+      .sort({ title: 1 });
+
+    res.json({
+      success: true,
+      payScale,
+      positions
+    });
+  } catch (error) {
+    console.error('Get pay scale error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create new pay scale
+router.post('/', [
+  authenticateToken,
+  requirePermission('payscale:manage', scopes.global),
+  ...scaleValidators(false)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { code, name, currency, grades, description, isActive } = req.body;
+
+    if (await PayScale.exists({ code: code.toUpperCase() })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pay scale code already exists'
+      });
+    }
+
+    const payScale = new PayScale({
+      code,
+      name,
+      currency,
+      grades: normalizeGrades(grades),
+      description,
+      isActive
+    });
+    await payScale.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Pay scale created successfully',
+      payScale
+    });
+
+  } catch (error) {
+    console.error('Create pay scale error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update pay scale. Changed amounts apply to salaries set from the scale
+// from then on; recorded salaries are not changed.
+router.put('/:id', [
+  authenticateToken,
+  requirePermission('payscale:manage', scopes.global),
+  ...scaleValidators(true)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payScale = await PayScale.findById(req.params.id);
+    if (!payScale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pay scale not found'
+      });
+    }
+
+    const { code, name, currency, grades, description, isActive } = req.body;
+
+    if (code && await PayScale.exists({ code: code.toUpperCase(), _id: { $ne: payScale._id } })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Pay scale code already exists'
+      });
+    }
+
+    // Update pay scale fields
+    if (code !== undefined) payScale.code = code;
+    if (name !== undefined) payScale.name = name;
+    if (currency !== undefined) payScale.currency = currency;
+    if (grades !== undefined) payScale.grades = normalizeGrades(grades);
+    if (description !== undefined) payScale.description = description;
+    if (isActive !== undefined) payScale.isActive = isActive;
+    await payScale.save();
+
+    res.json({
+      success: true,
+      message: 'Pay scale updated successfully',
+      payScale
+    });
+
+  } catch (error) {
+    console.error('Update pay scale error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Apply an increment to the staff paid on a scale, in one court or (for
+// users with access to every court) across the whole judiciary
+router.post('/:id/increment', [
+  authenticateToken,
+  requirePermission('payscale:manage', (req) => req.body.courtId || scopes.global()),
+  body('method')
+    .isIn(INCREMENT_METHODS)
+    .withMessage(`Method must be one of ${INCREMENT_METHODS.join(', ')}`),
+  body('value')
+    .isFloat()
+    .withMessage('Value must be a number'),
+  body('value')
+    .if(body('method').equals('step'))
+    .isInt({ min: 1 })
+    .withMessage('Step increments must be a whole number of steps'),
+  body('value')
+    .if(body('method').equals('percentage'))
+    .isFloat({ min: -100 })
+    .withMessage('Percentage must not be below -100'),
+  body('courtId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid court ID'),
+  body('effectiveDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Effective date must be a valid date'),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Reason is required and must not exceed 200 characters'),
+  body('approvalReference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Approval reference must not exceed 100 characters'),
+  body('dryRun')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Dry run must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const payScale = await PayScale.findById(req.params.id);
+    if (!payScale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pay scale not found'
+      });
+    }
+    if (!payScale.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Increments cannot be applied to an inactive pay scale'
+      });
+    }
+
+    let result;
+    try {
+      result = await applyIncrement(payScale, {
+        method: req.body.method,
+        value: Number(req.body.value),
+        courtIds: req.body.courtId ? [req.body.courtId] : null,
+        effectiveDate: req.body.effectiveDate ? new Date(req.body.effectiveDate) : new Date(),
+        reason: req.body.reason,
+        approvalReference: req.body.approvalReference,
+        approvedBy: req.user.userId || undefined,
+        approvedByName: req.user.name || req.user.username,
+        dryRun: req.body.dryRun === true
+      });
+    } catch (error) {
+      if (error instanceof SalaryError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      message: req.body.dryRun === true
+        ? 'Dry run complete; no salaries were changed'
+        : `Increment applied to ${result.applied.length} staff member(s)`,
+      ...result,
+      payScale
+    });
+
+  } catch (error) {
+    console.error('Apply pay scale increment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Deactivate pay scale. Positions keep it, but salaries can no longer be
+// set from it.
+router.delete('/:id', authenticateToken, requirePermission('payscale:manage', scopes.global), async (req, res) => {
+  try {
+    const payScale = await PayScale.findById(req.params.id);
+    if (!payScale) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pay scale not found'
+      });
+    }
+
+    payScale.isActive = false;
+    await payScale.save();
+
+    res.json({
+      success: true,
+      message: 'Pay scale deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Deactivate pay scale error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,522 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Position = require('../models/Position');
+const Staff = require('../models/Staff');
+const Court = require('../models/Court');
+const PayScale = require('../models/PayScale');
+const {
+  authenticateToken,
+  requirePermission,
+  scopes,
+  courtScopeFilter
+} = require('../middleware/auth');
+const router = express.Router();
+
+// Staff who count against a position's authorized headcount
+const HEADCOUNT_STATUSES = ['active', 'on_leave'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Validators shared by the create and update routes; create makes code
+// and title required
+const positionValidators = (optional) => [
+  body('code')
+    .if(() => !optional)
+    .exists()
+    .withMessage('Code is required'),
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^[A-Za-z0-9][A-Za-z0-9_-]{0,19}$/)
+    .withMessage('Code must be up to 20 letters, numbers, dashes and underscores'),
+  body('title')
+    .if(() => !optional)
+    .exists()
+    .withMessage('Title is required'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Title must be between 2 and 100 characters long'),
+  body('grade')
+    .optional()
+    .trim()
+    .isLength({ max: 20 })
+    .withMessage('Grade must not exceed 20 characters'),
+  body('courtTypes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Court types must be a non-empty list'),
+  body('courtTypes.*')
+    .isIn(['circuit', 'magisterial'])
+    .withMessage('Invalid court type'),
+  body('payScaleId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid pay scale ID'),
+  body('authorizedHeadcount')
+    .optional({ values: 'null' })
+    .isInt({ min: 0 })
+    .withMessage('Authorized headcount must be a whole number, 0 or more'),
+  body('aliases')
+    .optional()
+    .isArray()
+    .withMessage('Aliases must be a list'),
+  body('aliases.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Aliases must be between 1 and 100 characters long'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters'),
+  body('isActive')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Active flag must be true or false')
+];
+
+// Check that a code is not used by another position, nor a title or alias
+// by another active one. Returns a message, or null.
+const findConflict = async ({ code, title, aliases = [] }, excludeId = null) => {
+  if (code) {
+    const existing = await Position.findOne({ code: code.toUpperCase(), _id: { $ne: excludeId } });
+    if (existing) {
+      return `Code ${existing.code} is already used by "${existing.title}"`;
+    }
+  }
+
+  const others = await Position.find({ _id: { $ne: excludeId }, isActive: true });
+  for (const name of [title, ...aliases].filter(Boolean)) {
+    const existing = await Position.findByTitle(name, others);
+    if (existing) {
+      return `"${name}" already refers to position ${existing.code}`;
+    }
+  }
+  return null;
+};
+
+// Check that a position's grade is on its pay scale. Returns a message, or
+// null.
+const checkPayScale = async (position) => {
+  if (!position.payScaleId) {
+    return null;
+  }
+  const payScale = await PayScale.findById(position.payScaleId);
+  if (!payScale) {
+    return 'Pay scale not found';
+  }
+  if (!payScale.getGrade(position.grade)) {
+    return `Pay scale ${payScale.code} has no grade "${position.grade || ''}"`;
+  }
+  return null;
+};
+
+// Get the position catalog
+router.get('/', [
+  authenticateToken,
+  requirePermission('staff:read'),
+  query('courtType')
+    .optional()
+    .isIn(['circuit', 'magisterial'])
+    .withMessage('Invalid court type'),
+  query('includeInactive')
+    .optional()
+    .isBoolean()
+    .withMessage('includeInactive must be true or false'),
+  query('q')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Search text must not exceed 100 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const filter = {};
+    if (req.query.includeInactive !== 'true') {
+      filter.isActive = true;
+    }
+    if (req.query.courtType) {
+      filter.courtTypes = req.query.courtType;
+    }
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(req.query.q.trim()), 'i');
+      filter.$or = [{ code: pattern }, { title: pattern }, { aliases: pattern }];
+    }
+
+    const positions = await Position.find(filter).sort({ title: 1 });
+
+    res.json({
+      success: true,
+      positions
+    });
+  } catch (error) {
+    console.error('Get positions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Filled against authorized headcount for each position, per court
+router.get('/headcount', [
+  authenticateToken,
+  requirePermission('staff:read'),
+  query('courtId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid court ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const courtFilter = { ...courtScopeFilter(req.user, '_id'), isActive: true };
+    if (req.query.courtId) {
+      courtFilter._id = { ...courtFilter._id, $eq: new mongoose.Types.ObjectId(req.query.courtId) };
+    }
+
+    const [courts, positions] = await Promise.all([
+      Court.find(courtFilter).select('name type').sort({ name: 1 }),
+      Position.find({ isActive: true }).sort({ title: 1 })
+    ]);
+
+    const counts = await Staff.aggregate([
+      {
+        $match: {
+          courtId: { $in: courts.map(court => court._id) },
+          employmentStatus: { $in: HEADCOUNT_STATUSES }
+        }
+      },
+      { $group: { _id: { courtId: '$courtId', positionId: '$positionId' }, count: { $sum: 1 } } }
+    ]);
+    const filled = new Map(counts.map(({ _id, count }) => [`${_id.courtId}:${_id.positionId}`, count]));
+
+    const report = courts.map(court => ({
+      court,
+      positions: positions
+        .filter(position => position.appliesTo(court.type))
+        .map(position => {
+          const count = filled.get(`${court._id}:${position._id}`) || 0;
+          const authorized = position.authorizedHeadcount === undefined ? null : position.authorizedHeadcount;
+          return {
+            positionId: position._id,
+            code: position.code,
+            title: position.title,
+            grade: position.grade,
+            authorized,
+            filled: count,
+            vacancies: authorized === null ? null : Math.max(authorized - count, 0),
+            overAuthorized: authorized !== null && count > authorized
+          };
+        })
+        .filter(row => row.filled > 0 || row.authorized !== null)
+    }));
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Get headcount error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get position by ID
+router.get('/:id', authenticateToken, requirePermission('staff:read'), async (req, res) => {
+  try {
+    const position = await Position.findById(req.params.id);
+    if (!position) {
+      return res.status(404).json({
+        success: false,
+        message: 'Position not found'
+      });
+    }
+
+    const staffCount = await Staff.countDocuments({
+      ...courtScopeFilter(req.user),
+      positionId: position._id
+    });
+
+    res.json({
+      success: true,
+      position,
+      staffCount
+    });
+  } catch (error) {
+    console.error('Get position error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create new position
+router.post('/', [
+  authenticateToken,
+  requirePermission('position:manage', scopes.global),
+  ...positionValidators(false)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { code, title, grade, courtTypes, payScaleId, authorizedHeadcount, aliases, description, isActive } = req.body;
+
+    const conflict = await findConflict({ code, title, aliases });
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    const position = new Position({
+      code,
+      title,
+      grade,
+      courtTypes,
+      payScaleId: payScaleId || undefined,
+      authorizedHeadcount: authorizedHeadcount === null ? undefined : authorizedHeadcount,
+      aliases,
+      description,
+      isActive
+    });
+
+    const payScaleProblem = await checkPayScale(position);
+    if (payScaleProblem) {
+      return res.status(400).json({
+        success: false,
+        message: payScaleProblem
+      });
+    }
+    await position.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Position created successfully',
+      position
+    });
+
+  } catch (error) {
+    console.error('Create position error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update position. A new title is copied to the staff holding it.
+router.put('/:id', [
+  authenticateToken,
+  requirePermission('position:manage', scopes.global),
+  ...positionValidators(true)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const position = await Position.findById(req.params.id);
+    if (!position) {
+      return res.status(404).json({
+        success: false,
+        message: 'Position not found'
+      });
+    }
+
+    const { code, title, grade, courtTypes, payScaleId, authorizedHeadcount, aliases, description, isActive } = req.body;
+
+    const conflict = await findConflict({ code, title, aliases }, position._id);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: conflict
+      });
+    }
+
+    const titleChanged = title !== undefined && title !== position.title;
+
+    // Update position fields
+    if (code !== undefined) position.code = code;
+    if (title !== undefined) position.title = title;
+    if (grade !== undefined) position.grade = grade;
+    if (courtTypes !== undefined) position.courtTypes = [...new Set(courtTypes)];
+    if (payScaleId !== undefined) position.payScaleId = payScaleId || undefined;
+    if (authorizedHeadcount !== undefined) {
+      position.authorizedHeadcount = authorizedHeadcount === null ? undefined : authorizedHeadcount;
+    }
+    if (aliases !== undefined) position.aliases = aliases;
+    if (description !== undefined) position.description = description;
+    if (isActive !== undefined) position.isActive = isActive;
+
+    const payScaleProblem = await checkPayScale(position);
+    if (payScaleProblem) {
+      return res.status(400).json({
+        success: false,
+        message: payScaleProblem
+      });
+    }
+    await position.save();
+
+    if (titleChanged) {
+      await Staff.updateMany({ positionId: position._id }, { $set: { position: position.title } })
+        .setOptions({ withDeleted: true });
+    }
+
+    res.json({
+      success: true,
+      message: 'Position updated successfully',
+      position
+    });
+
+  } catch (error) {
+    console.error('Update position error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Merge duplicate positions into this one: their staff move here, their
+// titles become aliases and they are deactivated
+router.post('/:id/merge', [
+  authenticateToken,
+  requirePermission('position:manage', scopes.global),
+  body('positionIds')
+    .isArray({ min: 1 })
+    .withMessage('Position IDs must be a non-empty list'),
+  body('positionIds.*')
+    .isMongoId()
+    .withMessage('Invalid position ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const position = await Position.findById(req.params.id);
+    if (!position) {
+      return res.status(404).json({
+        success: false,
+        message: 'Position not found'
+      });
+    }
+
+    const sourceIds = [...new Set(req.body.positionIds)].filter(id => id !== position._id.toString());
+    const sources = await Position.find({ _id: { $in: sourceIds } });
+    if (sources.length !== sourceIds.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'Position not found'
+      });
+    }
+
+    const result = await Staff.updateMany(
+      { positionId: { $in: sources.map(source => source._id) } },
+      { $set: { positionId: position._id, position: position.title } }
+    ).setOptions({ withDeleted: true });
+
+    const aliases = new Set(position.aliases);
+    sources.forEach(source => {
+      aliases.add(source.title);
+      source.aliases.forEach(alias => aliases.add(alias));
+    });
+    position.aliases = [...aliases].filter(alias => alias !== position.title);
+    await position.save();
+
+    // Titles of merged positions now resolve to this one
+    await Position.updateMany(
+      { _id: { $in: sources.map(source => source._id) } },
+      { $set: { isActive: false, aliases: [] } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Positions merged successfully',
+      position,
+      staffMoved: result.modifiedCount
+    });
+
+  } catch (error) {
+    console.error('Merge positions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Deactivate position. Staff keep it, but it can no longer be assigned.
+router.delete('/:id', authenticateToken, requirePermission('position:manage', scopes.global), async (req, res) => {
+  try {
+    const position = await Position.findById(req.params.id);
+    if (!position) {
+      return res.status(404).json({
+        success: false,
+        message: 'Position not found'
+      });
+    }
+
+    position.isActive = false;
+    await position.save();
+
+    res.json({
+      success: true,
+      message: 'Position deactivated successfully'
+    });
+
+  } catch (error) {
+    console.error('Deactivate position error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Staff = require('../models/Staff');
+const Court = require('../models/Court');
+const StaffQualification = require('../models/StaffQualification');
+const { QUALIFICATION_TYPES } = require('../config/qualification-types');
+const { EXPIRY_ALERT_DAYS, findExpiring } = require('../services/qualification-service');
+const {
+  authenticateToken,
+  requirePermission,
+  scopes,
+  courtScopeFilter
+} = require('../middleware/auth');
+const router = express.Router();
+
+const MAX_LIMIT = 200;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Search staff qualifications in the courts the caller can access, by text,
+// type and expiry date, soonest expiring first
+router.get('/', [
+  authenticateToken,
+  requirePermission('staff:read', scopes.query('courtId')),
+  query('q')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search text must not exceed 100 characters'),
+  query('type')
+    .optional()
+    .isIn(Object.keys(QUALIFICATION_TYPES))
+    .withMessage('Invalid qualification type'),
+  query('courtId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid court ID'),
+  query('expiresAfter')
+    .optional()
+    .isISO8601()
+    .withMessage('Expires after must be a valid date'),
+  query('expiresBefore')
+    .optional()
+    .isISO8601()
+    .withMessage('Expires before must be a valid date'),
+  query('expired')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Expired must be true or false'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 25;
+
+    const staffFilter = courtScopeFilter(req.user);
+    if (req.query.courtId) {
+      staffFilter.courtId = new mongoose.Types.ObjectId(req.query.courtId);
+    }
+    const filter = { staffId: { $in: await Staff.distinct('_id', staffFilter) } };
+
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+    if (req.query.q) {
+      const pattern = new RegExp(escapeRegex(req.query.q), 'i');
+      filter.$or = ['title', 'institution', 'issuingBody', 'certificateNumber'].map(field => ({ [field]: pattern }));
+    }
+
+    const now = new Date();
+    const expiryDate = {};
+    if (req.query.expiresAfter) {
+      expiryDate.$gte = new Date(req.query.expiresAfter);
+    }
+    if (req.query.expiresBefore) {
+      expiryDate.$lte = new Date(req.query.expiresBefore);
+    }
+    if (req.query.expired === 'true') {
+      expiryDate.$lt = now;
+    } else if (req.query.expired === 'false') {
+      filter.$and = [{ $or: [{ expiryDate: null }, { expiryDate: { $gte: now } }] }];
+    }
+    if (Object.keys(expiryDate).length > 0) {
+      filter.expiryDate = expiryDate;
+    }
+
+    const [qualifications, total] = await Promise.all([
+      StaffQualification.find(filter)
+        .populate({ path: 'staffId', select: 'name position courtId', populate: { path: 'courtId', select: 'name type' } })
+        .sort({ expiryDate: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      StaffQualification.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      qualifications,
+      pagination: {
+        total,
+        limit,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Search qualifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get the qualifications of a court's current staff that expire within a
+// number of days, soonest first
+router.get('/court/:courtId/expiring', [
+  authenticateToken,
+  requirePermission('staff:read', scopes.param('courtId')),
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 3650 })
+    .withMessage('Days must be between 1 and 3650'),
+  query('includeExpired')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Include expired must be true or false')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const court = mongoose.Types.ObjectId.isValid(req.params.courtId)
+      ? await Court.findById(req.params.courtId).select('name type')
+      : null;
+    if (!court) {
+      return res.status(404).json({
+        success: false,
+        message: 'Court not found'
+      });
+    }
+
+    const days = parseInt(req.query.days, 10) || EXPIRY_ALERT_DAYS;
+    const qualifications = await findExpiring([court._id], {
+      days,
+      includeExpired: req.query.includeExpired === 'true'
+    });
+
+    res.json({
+      success: true,
+      court,
+      days,
+      qualifications
+    });
+  } catch (error) {
+    console.error('Get expiring qualifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,236 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Role = require('../models/Role');
+const User = require('../models/User');
+const { PERMISSIONS, COURT_SCOPES } = require('../config/permissions');
+const { clearRoleCache } = require('../services/permission-service');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const router = express.Router();
+
+// Get the permission registry
+router.get('/permissions', authenticateToken, requirePermission('role:manage'), (req, res) => {
+  res.json({
+    success: true,
+    permissions: Object.keys(PERMISSIONS).map(action => ({
+      action,
+      description: PERMISSIONS[action]
+    })),
+    courtScopes: COURT_SCOPES
+  });
+});
+
+// Get all roles
+router.get('/', authenticateToken, requirePermission('role:manage'), async (req, res) => {
+  try {
+    const roles = await Role.find({}).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      roles
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Create new role
+router.post('/', [
+  authenticateToken,
+  requirePermission('role:manage'),
+  body('name')
+    .trim()
+    .matches(/^[a-zA-Z][a-zA-Z0-9_-]{1,49}$/)
+    .withMessage('Role name may only contain letters, numbers, dashes and underscores'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must not exceed 200 characters'),
+  body('courtScope')
+    .isIn(COURT_SCOPES)
+    .withMessage('Invalid court scope'),
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be a list'),
+  body('permissions.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Unknown permission')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, courtScope, permissions } = req.body;
+
+    const existingRole = await Role.findByName(name);
+    if (existingRole) {
+      return res.status(400).json({
+        success: false,
+        message: 'Role already exists'
+      });
+    }
+
+    const role = new Role({
+      name,
+      description,
+      courtScope,
+      permissions: [...new Set(permissions)]
+    });
+    await role.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      role
+    });
+
+  } catch (error) {
+    console.error('Create role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update role
+router.put('/:name', [
+  authenticateToken,
+  requirePermission('role:manage'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description must not exceed 200 characters'),
+  body('courtScope')
+    .optional()
+    .isIn(COURT_SCOPES)
+    .withMessage('Invalid court scope'),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be a list'),
+  body('permissions.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Unknown permission')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const role = await Role.findByName(req.params.name);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    const { description, courtScope, permissions } = req.body;
+
+    // Keep at least one way back in: the admin role must stay able to
+    // manage roles across every court
+    if (role.name === 'admin') {
+      if ((permissions && !permissions.includes('role:manage')) || (courtScope && courtScope !== 'all')) {
+        return res.status(400).json({
+          success: false,
+          message: 'The admin role must keep role:manage and access to all courts'
+        });
+      }
+    }
+
+    // Changing the court scope could leave existing users without a valid court
+    if (courtScope && courtScope !== role.courtScope && courtScope !== 'all') {
+      const assignedUsers = await User.countDocuments({ role: role.name });
+      if (assignedUsers > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot narrow the court scope of a role that is assigned to users'
+        });
+      }
+    }
+
+    if (description !== undefined) role.description = description;
+    if (courtScope) role.courtScope = courtScope;
+    if (permissions) role.permissions = [...new Set(permissions)];
+
+    await role.save();
+    clearRoleCache();
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      role
+    });
+
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete role
+router.delete('/:name', authenticateToken, requirePermission('role:manage'), async (req, res) => {
+  try {
+    const role = await Role.findByName(req.params.name);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const assignedUsers = await User.countDocuments({ role: role.name });
+    if (assignedUsers > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cannot delete a role that is assigned to users'
+      });
+    }
+
+    await Role.deleteOne({ _id: role._id });
+    clearRoleCache();
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
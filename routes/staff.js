@@ -1,21 +1,264 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { body, query, validationResult } = require('express-validator');
 const Staff = require('../models/Staff');
 const Court = require('../models/Court');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const EmploymentEvent = require('../models/EmploymentEvent');
+const Transfer = require('../models/Transfer');
+const StaffImport = require('../models/StaffImport');
+const LeaveRequest = require('../models/LeaveRequest');
+const LeaveEntitlement = require('../models/LeaveEntitlement');
+const StaffDocument = require('../models/StaffDocument');
+const StaffQualification = require('../models/StaffQualification');
+const Position = require('../models/Position');
+const SalaryRecord = require('../models/SalaryRecord');
+const { DOCUMENT_TYPES, DOCUMENT_MIME_TYPES } = require('../config/document-types');
+const { QUALIFICATION_TYPES } = require('../config/qualification-types');
+const {
+  SORT_FIELDS,
+  MAX_LIMIT,
+  buildStaffConditions,
+  findStaffPage,
+  decodeCursor,
+  parseSort
+} = require('../services/staff-query');
+const { searchStaff, MAX_LIMIT: MAX_SEARCH_LIMIT } = require('../services/staff-search');
+const {
+  EXPORT_FORMATS,
+  STAFF_COLUMNS,
+  DEFAULT_STAFF_COLUMNS,
+  selectColumns,
+  exportStaff
+} = require('../services/export');
+const {
+  storeDocumentFile,
+  matchesDocumentType,
+  removeStoredFile,
+  openStoredFile
+} = require('../services/document-storage');
+const {
+  PHOTO_MAX_FILE_SIZE,
+  PHOTO_MIME_TYPES,
+  PhotoError,
+  storePhoto,
+  removePhoto
+} = require('../services/staff-photos');
+const { SalaryError, resolveScalePoint } = require('../services/salary-service');
+const {
+  MergeError,
+  createMatcher,
+  findDuplicates,
+  findDuplicatePairs,
+  summarizeDuplicate,
+  mergeStaff
+} = require('../services/staff-duplicates');
+const {
+  IMPORT_FIELDS,
+  MAX_STORED_ERRORS,
+  ImportFileError,
+  readImportFile,
+  buildColumnMapping,
+  rowToRecord,
+  loadCourtLookup,
+  resolveCourt,
+  loadPositions,
+  resolvePosition,
+  insertStaff
+} = require('../services/staff-import');
+const {
+  authenticateToken,
+  requirePermission,
+  permissionDenied,
+  hasPermission,
+  scopes,
+  canAccessCourt,
+  courtScopeFilter
+} = require('../middleware/auth');
 const router = express.Router();
 
-// Get all staff (admin only)
-router.get('/', authenticateToken, requireRole(['admin']), async (req, res) => {
-  try {
-    const staff = await Staff.find({})
-      .populate('courtId', 'name type')
-      .sort({ name: 1 });
-    
-    res.json({
-      success: true,
-      staff
+const STATUSES = ['active', 'retired', 'dismissed', 'on_leave'];
+const IMPORT_MAX_FILE_SIZE = 5 * 1024 * 1024;
+const DOCUMENT_MAX_FILE_SIZE = (parseInt(process.env.DOCUMENT_MAX_FILE_SIZE_MB, 10) || 10) * 1024 * 1024;
+// Fields only changed through the employment history
+const STATUS_FIELDS = [
+  'employmentStatus',
+  'statusDate',
+  'statusReason',
+  'statusNotes',
+  'retirementDate',
+  'dismissalDate',
+  'leaveStartDate',
+  'leaveEndDate'
+];
+// Fields only changed through their own endpoints (photo, trash, salary,
+// merge)
+const MANAGED_FIELDS = ['photo', 'deletedAt', 'deletedBy', 'deletedByName', 'salaryCurrency', 'salaryStep', 'mergedInto'];
+
+// A malformed staff ID names no staff member, rather than failing the
+// scope resolvers and handlers below on a cast error
+router.param('id', (req, res, next, id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Staff member not found'
+    });
+  }
+  next();
+});
+
+// Scope resolver: the court of the staff member named in the route
+const staffCourtScope = async (req) => {
+  const staff = await Staff.findById(req.params.id).select('courtId');
+  return staff ? staff.courtId : null;
+};
+
+// Scope resolver for a staff member in the trash
+const trashedStaffCourtScope = async (req) => {
+  const staff = await Staff.findOne({ _id: req.params.id, deletedAt: { $ne: null } }).select('courtId');
+  return staff ? staff.courtId : null;
+};
+
+// Hide salaries from users who are not allowed to see them
+const hideSalary = (req, staff) => {
+  if (hasPermission(req.user, 'staff:read:salary')) {
+    return staff;
+  }
+
+  const strip = (member) => {
+    const staffObject = member.toJSON ? member.toJSON() : { ...member };
+    delete staffObject.salary;
+    delete staffObject.salaryCurrency;
+    delete staffObject.salaryStep;
+    return staffObject;
+  };
+  return Array.isArray(staff) ? staff.map(strip) : strip(staff);
+};
+
+// Check the extra permissions needed for sensitive fields in a create or
+// update request. Returns the missing permission, or null.
+const missingFieldPermission = (user, data) => {
+  if (data.salary !== undefined && !hasPermission(user, 'staff:update:salary')) {
+    return 'staff:update:salary';
+  }
+  if (data.employmentStatus === 'dismissed' && !hasPermission(user, 'staff:dismiss')) {
+    return 'staff:dismiss';
+  }
+  if (data.employmentStatus && !hasPermission(user, 'staff:update:status')) {
+    return 'staff:update:status';
+  }
+  return null;
+};
+
+// Validators for a new staff member, shared by the create and import routes
+const createValidators = [
+  body('name')
+    .trim()
+    .isLength({ min: 2 })
+    .withMessage('Name must be at least 2 characters long'),
+  body('positionId')
+    .isMongoId()
+    .withMessage('Position ID is required'),
+  body('courtId')
+    .notEmpty()
+    .withMessage('Court ID is required'),
+  body('courtType')
+    .isIn(['circuit', 'magisterial'])
+    .withMessage('Invalid court type'),
+  body('email')
+    .optional()
+    .isEmail()
+    .withMessage('Invalid email address'),
+  body('nationalId')
+    .optional()
+    .trim()
+    .isLength({ min: 4, max: 30 })
+    .withMessage('National ID must be between 4 and 30 characters long'),
+  body('employmentStatus')
+    .optional()
+    .isIn(['active', 'retired', 'dismissed', 'on_leave'])
+    .withMessage('Invalid employment status')
+];
+
+// Who recorded a change, for the employment history
+const recorder = (req) => ({
+  recordedBy: req.user.userId || undefined,
+  recordedByName: req.user.name || req.user.username
+});
+
+// Validators for the pagination, sorting and filter parameters of staff listings
+const listValidators = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`),
+  query('sort')
+    .optional()
+    .custom(value => SORT_FIELDS.includes(String(value).replace(/^-/, '')))
+    .withMessage(`Sort must be one of ${SORT_FIELDS.join(', ')}, optionally prefixed with -`),
+  query('cursor')
+    .optional()
+    .custom((value, { req }) => decodeCursor(value, parseSort(req.query.sort).field) !== null)
+    .withMessage('Invalid cursor'),
+  query('employmentStatus')
+    .optional()
+    .custom(value => String(value).split(',').every(status => STATUSES.includes(status.trim())))
+    .withMessage('Invalid employment status'),
+  query('courtId')
+    .optional()
+    .custom(value => String(value).split(',').every(id => mongoose.Types.ObjectId.isValid(id.trim())))
+    .withMessage('Invalid court ID'),
+  query('courtType')
+    .optional()
+    .isIn(['circuit', 'magisterial'])
+    .withMessage('Invalid court type'),
+  query('positionId')
+    .optional()
+    .custom(value => String(value).split(',').every(id => mongoose.Types.ObjectId.isValid(id.trim())))
+    .withMessage('Invalid position ID'),
+  query(['position', 'department', 'education'])
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Filters must not exceed 100 characters'),
+  query(['hiredFrom', 'hiredTo'])
+    .optional()
+    .isISO8601()
+    .withMessage('Hire date filters must be valid dates')
+];
+
+// Run a staff listing query within the user's court scope and send the page
+const sendStaffPage = async (req, res, conditions) => {
+  // Check for validation errors
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
     });
+  }
+
+  const { staff, pagination } = await findStaffPage(
+    [courtScopeFilter(req.user), ...buildStaffConditions(req.query), ...conditions],
+    req.query
+  );
+
+  res.json({
+    success: true,
+    staff: hideSalary(req, staff),
+    pagination
+  });
+};
+
+// Get staff visible to the user, filtered, sorted and paginated
+router.get('/', authenticateToken, requirePermission('staff:read'), listValidators, async (req, res) => {
+  try {
+    await sendStaffPage(req, res, []);
   } catch (error) {
     console.error('Get all staff error:', error);
     res.status(500).json({
@@ -26,58 +269,1461 @@ router.get('/', authenticateToken, requireRole(['admin']), async (req, res) => {
 });
 
 // Get staff by employment status
-router.get('/status/:status', authenticateToken, async (req, res) => {
+router.get('/status/:status', authenticateToken, requirePermission('staff:read'), listValidators, async (req, res) => {
   try {
     const { status } = req.params;
     
-    if (!['active', 'retired', 'dismissed', 'on_leave'].includes(status)) {
+    if (!STATUSES.includes(status)) {
       return res.status(400).json({
         success: false,
         message: 'Invalid employment status'
       });
     }
 
-    let staff;
+    await sendStaffPage(req, res, [{ employmentStatus: status }]);
+  } catch (error) {
+    console.error('Get staff by status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get staff by court
+router.get('/court/:courtId', [
+  authenticateToken,
+  requirePermission('staff:read', scopes.param('courtId')),
+  ...listValidators
+], async (req, res) => {
+  try {
+    const { courtId } = req.params;
     
-    if (req.user.role === 'admin') {
-      // Admin can see all staff
-      staff = await Staff.getByStatus(status);
-    } else {
-      // Circuit and magisterial courts can only see their own staff
-      const userCourts = await Court.find({ userId: req.user.userId, isActive: true });
-      const courtIds = userCourts.map(court => court._id);
-      
-      if (req.user.role === 'circuit') {
-        // Circuit court can see staff from their court and magisterial courts under them
-        const magisterialCourts = await Court.find({ 
-          circuitCourtId: { $in: courtIds },
-          isActive: true 
+    const court = await Court.findById(courtId);
+    if (!court) {
+      return res.status(404).json({
+        success: false,
+        message: 'Court not found'
+      });
+    }
+    
+    await sendStaffPage(req, res, [{ courtId: court._id }]);
+  } catch (error) {
+    console.error('Get staff by court error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Search staff by partial name, position, email, phone, department or supervisor
+router.get('/search', [
+  authenticateToken,
+  requirePermission('staff:read'),
+  query('q')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search text must be between 1 and 100 characters long'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_SEARCH_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_SEARCH_LIMIT}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const results = await searchStaff(req.query.q, courtScopeFilter(req.user), {
+      limit: req.query.limit
+    });
+
+    res.json({
+      success: true,
+      query: req.query.q,
+      results: results.map(result => ({
+        ...result,
+        staff: hideSalary(req, result.staff)
+      }))
+    });
+  } catch (error) {
+    console.error('Search staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Export staff visible to the user, with the listing filters, as CSV, XLSX
+// or a PDF roster grouped by court. Salary is left out unless the user may
+// read it.
+router.get('/export', [
+  authenticateToken,
+  requirePermission('staff:read'),
+  query('format')
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of ${EXPORT_FORMATS.join(', ')}`),
+  query('columns')
+    .optional()
+    .custom(value => String(value).split(',').every(key => STAFF_COLUMNS[key.trim()]))
+    .withMessage(`Columns must be from ${Object.keys(STAFF_COLUMNS).join(', ')}`),
+  ...listValidators
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const columns = selectColumns(STAFF_COLUMNS, req.query.columns, DEFAULT_STAFF_COLUMNS,
+      permission => hasPermission(req.user, permission));
+    if (columns.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No columns selected that you are allowed to export'
+      });
+    }
+
+    await exportStaff(res, {
+      format: req.query.format || 'csv',
+      columns,
+      conditions: [courtScopeFilter(req.user), ...buildStaffConditions(req.query)],
+      sort: parseSort(req.query.sort),
+      courtFilter: courtScopeFilter(req.user, '_id')
+    });
+  } catch (error) {
+    console.error('Export staff error:', error);
+    // Once streaming has started the response can only be cut short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Validate one import row with the create route's rules, the court it
+// resolves to, the caller's access and the Staff schema. Returns the
+// unsaved staff document and the row's errors.
+const validateImportRow = async (req, { data }, courtLookup, positions) => {
+  const errors = resolveCourt(data, courtLookup);
+  errors.push(...await resolvePosition(data, positions));
+
+  const rowRequest = { body: data };
+  for (const validator of createValidators) {
+    await validator.run(rowRequest);
+  }
+  validationResult(rowRequest).array().forEach(error => {
+    errors.push({ field: error.path, message: error.msg });
+  });
+
+  if (data.courtId && !canAccessCourt(req.user, data.courtId)) {
+    errors.push({ field: 'courtId', message: 'You do not have access to this court' });
+  }
+  const missingPermission = missingFieldPermission(req.user, data);
+  if (missingPermission) {
+    errors.push({ field: null, message: `Requires the ${missingPermission} permission` });
+  }
+
+  const staff = new Staff(data);
+  const schemaError = staff.validateSync();
+  if (schemaError) {
+    Object.keys(schemaError.errors).forEach(field => {
+      if (!errors.some(error => error.field === field)) {
+        errors.push({ field, message: schemaError.errors[field].message });
+      }
+    });
+  }
+
+  return { staff, errors };
+};
+
+// Errors for an import row that may be the same person as an existing staff
+// member or an earlier row of the file
+const duplicateRowErrors = async (staff, matcher) => {
+  const errors = (await findDuplicates(staff)).map(({ staff: existing, matchedOn }) => ({
+    field: null,
+    message: `Possible duplicate of ${existing.name} (${existing.courtId ? existing.courtId.name : 'no court'}); matched on ${matchedOn.join(', ')}`
+  }));
+  matcher.find(staff).forEach(({ value: rowNumber, matchedOn }) => {
+    errors.push({ field: null, message: `Possible duplicate of row ${rowNumber}; matched on ${matchedOn.join(', ')}` });
+  });
+  return errors;
+};
+
+// Accept a single CSV or XLSX file in the "file" field
+const importUpload = (req, res, next) => {
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMPORT_MAX_FILE_SIZE, files: 1 }
+  }).single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Import files must not exceed ${IMPORT_MAX_FILE_SIZE / (1024 * 1024)} MB`
+          : 'Invalid upload'
+      });
+    }
+    next();
+  });
+};
+
+// Import staff from a CSV or XLSX file. In dry-run mode nothing is saved
+// and every row's errors are returned. In commit mode an atomic import
+// saves all rows or none; otherwise the valid rows are saved. Rows that look
+// like existing staff or earlier rows are errors unless allowDuplicates is
+// set.
+router.post('/import', [
+  authenticateToken,
+  requirePermission('staff:create'),
+  importUpload,
+  body('mode')
+    .optional()
+    .isIn(['dry_run', 'commit'])
+    .withMessage('Mode must be dry_run or commit'),
+  body('atomic')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Atomic must be true or false'),
+  body('allowDuplicates')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Allow duplicates must be true or false'),
+  body('mapping')
+    .optional()
+    .custom(value => {
+      const mapping = JSON.parse(value);
+      return mapping && typeof mapping === 'object' && !Array.isArray(mapping) &&
+        Object.values(mapping).every(field => typeof field === 'string');
+    })
+    .withMessage('Mapping must be a JSON object of column names to staff fields')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'An import file is required'
+      });
+    }
+
+    const mode = req.body.mode || 'dry_run';
+    const atomic = req.body.atomic !== 'false';
+    const allowDuplicates = req.body.allowDuplicates === 'true';
+
+    let file;
+    try {
+      file = await readImportFile(req.file);
+    } catch (error) {
+      if (error instanceof ImportFileError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
         });
-        const allCourtIds = [...courtIds, ...magisterialCourts.map(court => court._id)];
-        
-        staff = await Staff.find({ 
-          employmentStatus: status,
-          courtId: { $in: allCourtIds }
-        })
-        .populate('courtId', 'name type')
-        .sort({ name: 1 });
+      }
+      throw error;
+    }
+
+    const { columns, unmappedColumns, problems } = buildColumnMapping(
+      file.headers,
+      req.body.mapping ? JSON.parse(req.body.mapping) : null
+    );
+    if (problems.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The columns could not be mapped to staff fields',
+        problems,
+        headers: file.headers,
+        fields: Object.keys(IMPORT_FIELDS)
+      });
+    }
+
+    // Validate every row before saving anything
+    const courtLookup = await loadCourtLookup();
+    const positions = await loadPositions();
+    const matcher = createMatcher();
+    const validEntries = [];
+    const rowErrors = [];
+    for (const row of file.rows) {
+      const record = rowToRecord(row, columns);
+      const { staff, errors: recordErrors } = await validateImportRow(req, record, courtLookup, positions);
+      if (recordErrors.length === 0 && !allowDuplicates) {
+        recordErrors.push(...await duplicateRowErrors(staff, matcher));
+      }
+      if (recordErrors.length > 0) {
+        recordErrors.forEach(error => rowErrors.push({ row: record.rowNumber, ...error }));
       } else {
-        // Magisterial court can only see their own staff
-        staff = await Staff.find({ 
-          employmentStatus: status,
-          courtId: { $in: courtIds }
-        })
-        .populate('courtId', 'name type')
-        .sort({ name: 1 });
+        validEntries.push({ rowNumber: record.rowNumber, staff });
+        matcher.add(staff, record.rowNumber);
+      }
+    }
+
+    const invalidRows = new Set(rowErrors.map(error => error.row)).size;
+    const staffImport = new StaffImport({
+      fileName: req.file.originalname,
+      format: file.format,
+      mode,
+      atomic,
+      allowDuplicates,
+      mapping: new Map(columns.map(column => [column.header, column.field])),
+      unmappedColumns,
+      totalRows: file.rows.length,
+      validRows: validEntries.length,
+      failedRows: invalidRows,
+      createdBy: req.user.userId || undefined,
+      apiKeyId: req.user.apiKeyId || undefined,
+      createdByName: req.user.name || req.user.username
+    });
+
+    if (mode === 'dry_run') {
+      staffImport.status = 'validated';
+    } else if (atomic && invalidRows > 0) {
+      staffImport.status = 'failed';
+      staffImport.failureReason = 'Some rows are invalid, so nothing was imported';
+    } else {
+      staffImport.status = 'in_progress';
+      await staffImport.save();
+
+      const { inserted, failures, rolledBack } = await insertStaff(validEntries, {
+        atomic,
+        recorder: recorder(req),
+        importId: staffImport._id
+      });
+      rowErrors.push(...failures);
+
+      staffImport.importedRows = inserted.length;
+      staffImport.importedStaffIds = inserted.map(staff => staff._id);
+      staffImport.failedRows = invalidRows + failures.length;
+      if (rolledBack) {
+        staffImport.status = 'failed';
+        staffImport.failureReason = 'Saving a row failed, so the import was rolled back';
+      } else {
+        staffImport.status = staffImport.failedRows > 0 ? 'partially_completed' : 'completed';
       }
     }
-    
+
+    staffImport.rowErrors = rowErrors.slice(0, MAX_STORED_ERRORS);
+    await staffImport.save();
+
+    const messages = {
+      validated: 'Import validated; no staff were saved',
+      completed: 'Staff imported successfully',
+      partially_completed: 'Valid rows imported; some rows failed',
+      failed: staffImport.failureReason
+    };
+
+    res.status(staffImport.status === 'failed' ? 400 : mode === 'commit' ? 201 : 200).json({
+      success: staffImport.status !== 'failed',
+      message: messages[staffImport.status],
+      import: staffImport,
+      errors: rowErrors
+    });
+
+  } catch (error) {
+    console.error('Import staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Imports the caller can see: all of them with access to every court,
+// otherwise those run by the same user or API key
+const importFilter = (user) => {
+  if (user.courtScope === 'all') {
+    return {};
+  }
+  return user.principalType === 'service' ? { apiKeyId: user.apiKeyId } : { createdBy: user.userId };
+};
+
+// Get staff imports; users without access to every court see their own
+router.get('/imports', authenticateToken, requirePermission('staff:create'), async (req, res) => {
+  try {
+    const filter = importFilter(req.user);
+
+    const imports = await StaffImport.find(filter)
+      .select('-rowErrors -importedStaffIds')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json({
+      success: true,
+      imports
+    });
+  } catch (error) {
+    console.error('Get staff imports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get staff import by ID, with its row errors
+router.get('/imports/:importId', authenticateToken, requirePermission('staff:create'), async (req, res) => {
+  try {
+    const staffImport = mongoose.Types.ObjectId.isValid(req.params.importId)
+      ? await StaffImport.findOne({ _id: req.params.importId, ...importFilter(req.user) })
+        .populate('createdBy', 'name username')
+      : null;
+
+    if (!staffImport) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      import: staffImport
+    });
+  } catch (error) {
+    console.error('Get staff import error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get staff in the trash, most recently deleted first
+router.get('/trash', [
+  authenticateToken,
+  requirePermission('staff:delete'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 25;
+    const filter = { ...courtScopeFilter(req.user), deletedAt: { $ne: null } };
+
+    const [staff, total] = await Promise.all([
+      Staff.find(filter)
+        .populate('courtId', 'name type')
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Staff.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      staff: hideSalary(req, staff),
+      pagination: {
+        total,
+        limit,
+        page,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get staff trash error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get suspected duplicate staff records, best match first. Each pair gives
+// the older record first, as the one to keep when merging.
+router.get('/duplicates', [
+  authenticateToken,
+  requirePermission('staff:merge'),
+  query('minScore')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Minimum score must be between 0 and 1'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive number'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: MAX_LIMIT })
+    .withMessage(`Limit must be between 1 and ${MAX_LIMIT}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 25;
+    const minScore = req.query.minScore !== undefined ? parseFloat(req.query.minScore) : 0;
+
+    const pairs = (await findDuplicatePairs(courtScopeFilter(req.user)))
+      .filter(pair => pair.score >= minScore);
+
+    res.json({
+      success: true,
+      duplicates: pairs.slice((page - 1) * limit, page * limit).map(pair => ({
+        staff: summarizeDuplicate(pair.staff),
+        duplicate: summarizeDuplicate(pair.duplicate),
+        score: pair.score,
+        matchedOn: pair.matchedOn
+      })),
+      pagination: {
+        total: pairs.length,
+        limit,
+        page,
+        pages: Math.ceil(pairs.length / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get duplicate staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get staff statistics
+router.get('/statistics', authenticateToken, requirePermission('staff:read'), async (req, res) => {
+  try {
+    const stats = await Staff.getStatistics(courtScopeFilter(req.user));
+    
+    res.json({
+      success: true,
+      statistics: stats
+    });
+  } catch (error) {
+    console.error('Get staff statistics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get staff member by ID
+router.get('/:id', authenticateToken, requirePermission('staff:read', staffCourtScope), async (req, res) => {
+  try {
+    const staff = await Staff.findById(req.params.id)
+      .populate('courtId', 'name type circuitCourtId');
+    
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      staff: hideSalary(req, staff)
+    });
+  } catch (error) {
+    console.error('Get staff member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a staff member's employment history, newest first
+router.get('/:id/history', authenticateToken, requirePermission('staff:read', staffCourtScope), async (req, res) => {
+  try {
+    const staff = await Staff.findById(req.params.id).select('name employmentStatus');
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const history = await EmploymentEvent.getHistory(staff._id);
+
+    res.json({
+      success: true,
+      staffId: staff._id,
+      name: staff.name,
+      employmentStatus: staff.employmentStatus,
+      history
+    });
+  } catch (error) {
+    console.error('Get employment history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Record an employment event, which may be backdated or scheduled
+router.post('/:id/history', [
+  authenticateToken,
+  requirePermission('staff:update:status', staffCourtScope),
+  body('status')
+    .isIn(STATUSES)
+    .withMessage('Invalid employment status'),
+  body('effectiveDate')
+    .isISO8601()
+    .withMessage('Effective date must be a valid date'),
+  body('expectedEndDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Expected end date must be a valid date')
+    .custom((value, { req }) => new Date(value) >= new Date(req.body.effectiveDate))
+    .withMessage('Expected end date must be after the effective date'),
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Reason must not exceed 200 characters'),
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const staff = await Staff.findById(req.params.id);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const { status, effectiveDate, expectedEndDate, reason, notes } = req.body;
+
+    const missingPermission = missingFieldPermission(req.user, { employmentStatus: status });
+    if (missingPermission) {
+      return permissionDenied(res, missingPermission);
+    }
+
+    await staff.updateEmploymentStatus(status, new Date(effectiveDate), {
+      expectedEndDate,
+      reason,
+      notes,
+      ...recorder(req)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: new Date(effectiveDate) > new Date()
+        ? 'Employment event scheduled successfully'
+        : 'Employment event recorded successfully',
+      employmentStatus: staff.employmentStatus,
+      history: await EmploymentEvent.getHistory(staff._id)
+    });
+
+  } catch (error) {
+    console.error('Record employment event error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a staff member's salary history, newest first
+router.get('/:id/salary', authenticateToken, requirePermission('staff:read:salary', staffCourtScope), async (req, res) => {
+  try {
+    const staff = await Staff.findById(req.params.id).select('name salary salaryCurrency salaryStep');
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const history = await SalaryRecord.getHistory(staff._id);
+
+    res.json({
+      success: true,
+      staffId: staff._id,
+      name: staff.name,
+      salary: staff.salary,
+      salaryCurrency: staff.salaryCurrency,
+      salaryStep: staff.salaryStep,
+      history
+    });
+  } catch (error) {
+    console.error('Get salary history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Record a salary change, as an amount or as a step on the position's pay
+// scale. Changes may be backdated or scheduled.
+router.post('/:id/salary', [
+  authenticateToken,
+  requirePermission('staff:update:salary', staffCourtScope),
+  body('amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be 0 or more'),
+  body('step')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Step must be a whole number of at least 1'),
+  body('amount')
+    .custom((value, { req }) => (value === undefined) !== (req.body.step === undefined))
+    .withMessage('Give either an amount or a pay scale step'),
+  body('currency')
+    .optional()
+    .matches(/^[A-Za-z]{3}$/)
+    .withMessage('Currency must be a three-letter code'),
+  body('effectiveDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Effective date must be a valid date'),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Reason is required and must not exceed 200 characters'),
+  body('approvalReference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Approval reference must not exceed 100 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const staff = await Staff.findById(req.params.id);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const { amount, step, currency, effectiveDate, reason, approvalReference } = req.body;
+
+    let salary;
+    if (step !== undefined) {
+      try {
+        salary = await resolveScalePoint(staff, Number(step));
+      } catch (error) {
+        if (error instanceof SalaryError) {
+          return res.status(400).json({
+            success: false,
+            message: error.message
+          });
+        }
+        throw error;
+      }
+    } else {
+      salary = { amount: Number(amount), currency: currency || staff.salaryCurrency };
+    }
+
+    const record = await staff.updateSalary({
+      ...salary,
+      effectiveDate: effectiveDate ? new Date(effectiveDate) : new Date(),
+      reason,
+      approvalReference,
+      approvedBy: req.user.userId || undefined,
+      approvedByName: req.user.name || req.user.username
+    });
+
+    res.status(201).json({
+      success: true,
+      message: record.effectiveDate > new Date()
+        ? 'Salary change scheduled successfully'
+        : 'Salary change recorded successfully',
+      record,
+      salary: staff.salary,
+      salaryCurrency: staff.salaryCurrency,
+      salaryStep: staff.salaryStep,
+      history: await SalaryRecord.getHistory(staff._id)
+    });
+
+  } catch (error) {
+    console.error('Record salary change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get a staff member's transfers, newest first
+router.get('/:id/transfers', authenticateToken, requirePermission('staff:read', staffCourtScope), async (req, res) => {
+  try {
+    const staff = await Staff.findById(req.params.id).select('name courtId');
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const transfers = await Transfer.find({ staffId: staff._id })
+      .populate('fromCourtId', 'name type')
+      .populate('toCourtId', 'name type')
+      .sort({ effectiveDate: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      staffId: staff._id,
+      name: staff.name,
+      transfers
+    });
+  } catch (error) {
+    console.error('Get staff transfers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Transfer a staff member to another court
+router.post('/:id/transfer', [
+  authenticateToken,
+  requirePermission('staff:transfer', staffCourtScope),
+  body('toCourtId')
+    .isMongoId()
+    .withMessage('Invalid court ID'),
+  body('effectiveDate')
+    .isISO8601()
+    .withMessage('Effective date must be a valid date'),
+  body('reason')
+    .trim()
+    .isLength({ min: 2, max: 500 })
+    .withMessage('Reason must be between 2 and 500 characters long'),
+  body('orderReference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Order reference must not exceed 100 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { toCourtId, effectiveDate, reason, orderReference } = req.body;
+
+    const staff = await Staff.findById(req.params.id);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const toCourt = await Court.findById(toCourtId);
+    if (!toCourt || !toCourt.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid receiving court'
+      });
+    }
+    if (toCourt._id.equals(staff.courtId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Staff member is already assigned to this court'
+      });
+    }
+    const position = staff.positionId ? await Position.findById(staff.positionId) : null;
+    if (position && !position.appliesTo(toCourt.type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Position "${position.title}" does not apply to ${toCourt.type} courts`
+      });
+    }
+
+    if (await Transfer.findOpenForStaff(staff._id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Staff member already has a transfer in progress'
+      });
+    }
+
+    // The receiving court approves transfers in when it asks to, or when the
+    // requester has no authority over it. Requesters who may approve for
+    // the receiving court approve their own request.
+    const canApprove = hasPermission(req.user, 'staff:transfer:approve') && canAccessCourt(req.user, toCourt._id);
+    const needsApproval = !canApprove &&
+      (toCourt.requiresTransferApproval || !canAccessCourt(req.user, toCourt._id));
+
+    const transfer = new Transfer({
+      staffId: staff._id,
+      fromCourtId: staff.courtId,
+      toCourtId: toCourt._id,
+      effectiveDate: new Date(effectiveDate),
+      reason,
+      orderReference,
+      status: needsApproval ? 'pending' : 'approved',
+      requestedBy: req.user.userId || undefined,
+      requestedByName: req.user.name || req.user.username
+    });
+    await transfer.save();
+
+    // Transfers already in effect are applied straight away
+    if (!needsApproval && transfer.effectiveDate <= new Date()) {
+      await transfer.complete();
+    }
+
+    await transfer.populate([
+      { path: 'fromCourtId', select: 'name type' },
+      { path: 'toCourtId', select: 'name type' }
+    ]);
+
+    const messages = {
+      pending: 'Transfer requested; it needs approval from the receiving court',
+      approved: 'Transfer scheduled for its effective date',
+      completed: 'Staff member transferred successfully',
+      cancelled: 'Transfer could not be applied and was cancelled'
+    };
+
+    res.status(201).json({
+      success: true,
+      message: messages[transfer.status],
+      transfer
+    });
+
+  } catch (error) {
+    console.error('Transfer staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Parse an uploaded staff document into req.file
+const documentUpload = (req, res, next) => {
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: DOCUMENT_MAX_FILE_SIZE, files: 1 }
+  }).single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Documents must not exceed ${DOCUMENT_MAX_FILE_SIZE / (1024 * 1024)} MB`
+          : 'Invalid upload'
+      });
+    }
+    next();
+  });
+};
+
+// Get the documents attached to a staff member
+router.get('/:id/documents', authenticateToken, requirePermission('staff:read', staffCourtScope), async (req, res) => {
+  try {
+    const staff = await Staff.findById(req.params.id).select('name');
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const documents = await StaffDocument.find({ staffId: staff._id })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      staff,
+      documents
+    });
+  } catch (error) {
+    console.error('Get staff documents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Attach a document to a staff member
+router.post('/:id/documents', [
+  authenticateToken,
+  requirePermission('staff:update', staffCourtScope),
+  documentUpload,
+  body('type')
+    .isIn(Object.keys(DOCUMENT_TYPES))
+    .withMessage(`Document type must be one of ${Object.keys(DOCUMENT_TYPES).join(', ')}`),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must not exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A file is required'
+      });
+    }
+    if (!DOCUMENT_MIME_TYPES.includes(req.file.mimetype)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Documents must be PDF, JPEG, PNG, TIFF or Word files'
+      });
+    }
+    if (!matchesDocumentType(req.file.mimetype, req.file.buffer)) {
+      return res.status(400).json({
+        success: false,
+        message: 'File contents do not match its file type'
+      });
+    }
+
+    const staff = await Staff.findById(req.params.id).select('name');
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const stored = await storeDocumentFile(staff._id, req.file);
+    let document;
+    try {
+      document = await StaffDocument.create({
+        staffId: staff._id,
+        type: req.body.type,
+        description: req.body.description,
+        fileName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        ...stored,
+        uploadedBy: req.user.userId || undefined,
+        uploadedByName: req.user.name || req.user.username
+      });
+    } catch (error) {
+      // Don't leave an unreferenced file behind
+      await removeStoredFile(stored);
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Document uploaded successfully',
+      document
+    });
+
+  } catch (error) {
+    console.error('Upload staff document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download a staff member's document
+router.get('/:id/documents/:documentId/download', [
+  authenticateToken,
+  requirePermission('staff:read', staffCourtScope)
+], async (req, res) => {
+  try {
+    const document = mongoose.Types.ObjectId.isValid(req.params.documentId)
+      ? await StaffDocument.findOne({ _id: req.params.documentId, staffId: req.params.id })
+      : null;
+    if (!document || !(await Staff.exists({ _id: document.staffId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    const stream = await openStoredFile(document);
+    res.attachment(document.fileName);
+    res.set({
+      'Content-Type': document.mimeType,
+      'Content-Length': document.size,
+      'X-Content-Type-Options': 'nosniff',
+      ETag: `"${document.checksum}"`
+    });
+    stream.on('error', (error) => {
+      console.error('Download staff document error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
+  } catch (error) {
+    console.error('Download staff document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete a staff member's document
+router.delete('/:id/documents/:documentId', [
+  authenticateToken,
+  requirePermission('staff:update', staffCourtScope)
+], async (req, res) => {
+  try {
+    const document = mongoose.Types.ObjectId.isValid(req.params.documentId)
+      ? await StaffDocument.findOne({ _id: req.params.documentId, staffId: req.params.id })
+      : null;
+    if (!document || !(await Staff.exists({ _id: document.staffId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    await document.deleteOne();
+    await removeStoredFile(document);
+
+    res.json({
+      success: true,
+      message: 'Document deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete staff document error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Qualification fields set through the create and update routes
+const QUALIFICATION_FIELDS = [
+  'type',
+  'title',
+  'institution',
+  'year',
+  'issuingBody',
+  'certificateNumber',
+  'issueDate',
+  'expiryDate',
+  'documentId',
+  'notes'
+];
+
+// Validators shared by the qualification create and update routes
+const qualificationValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('type')
+      .isIn(Object.keys(QUALIFICATION_TYPES))
+      .withMessage(`Type must be one of ${Object.keys(QUALIFICATION_TYPES).join(', ')}`),
+    field('title')
+      .trim()
+      .isLength({ min: 2, max: 150 })
+      .withMessage('Title must be between 2 and 150 characters long'),
+    body('institution')
+      .optional()
+      .trim()
+      .isLength({ max: 150 })
+      .withMessage('Institution must not exceed 150 characters'),
+    body('year')
+      .optional()
+      .isInt({ min: 1900, max: 2100 })
+      .withMessage('Year must be between 1900 and 2100'),
+    body('issuingBody')
+      .optional()
+      .trim()
+      .isLength({ max: 150 })
+      .withMessage('Issuing body must not exceed 150 characters'),
+    body('certificateNumber')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Certificate number must not exceed 100 characters'),
+    body('issueDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Issue date must be a valid date'),
+    body('expiryDate')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Expiry date must be a valid date'),
+    body('documentId')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Invalid document ID'),
+    body('notes')
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage('Notes must not exceed 500 characters')
+  ];
+};
+
+// Check a qualification's dates, and that its linked document is attached
+// to its staff member. Returns an error message, or null.
+const checkQualification = async (qualification) => {
+  if (qualification.issueDate && qualification.expiryDate && qualification.expiryDate < qualification.issueDate) {
+    return 'Expiry date must not be before the issue date';
+  }
+  if (qualification.documentId &&
+      !(await StaffDocument.exists({ _id: qualification.documentId, staffId: qualification.staffId }))) {
+    return 'The document is not attached to this staff member';
+  }
+  return null;
+};
+
+// Get a staff member's qualifications, soonest expiring first
+router.get('/:id/qualifications', authenticateToken, requirePermission('staff:read', staffCourtScope), async (req, res) => {
+  try {
+    const staff = await Staff.findById(req.params.id).select('name education');
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const qualifications = await StaffQualification.find({ staffId: staff._id })
+      .populate('documentId', 'type fileName')
+      .sort({ expiryDate: 1, year: -1, createdAt: -1 });
+
+    res.json({
+      success: true,
+      staff,
+      qualifications
+    });
+  } catch (error) {
+    console.error('Get staff qualifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add a qualification to a staff member
+router.post('/:id/qualifications', [
+  authenticateToken,
+  requirePermission('staff:update', staffCourtScope),
+  ...qualificationValidators(false)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const staff = await Staff.findById(req.params.id).select('name');
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const qualification = new StaffQualification({
+      staffId: staff._id,
+      createdBy: req.user.userId || undefined,
+      createdByName: req.user.name || req.user.username
+    });
+    QUALIFICATION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        qualification[field] = req.body[field];
+      }
+    });
+
+    const problem = await checkQualification(qualification);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    await qualification.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Qualification added successfully',
+      qualification
+    });
+
+  } catch (error) {
+    console.error('Add staff qualification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update a staff member's qualification. A new expiry date means the court
+// is alerted again before it.
+router.put('/:id/qualifications/:qualificationId', [
+  authenticateToken,
+  requirePermission('staff:update', staffCourtScope),
+  ...qualificationValidators(true)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const qualification = mongoose.Types.ObjectId.isValid(req.params.qualificationId)
+      ? await StaffQualification.findOne({ _id: req.params.qualificationId, staffId: req.params.id })
+      : null;
+    if (!qualification || !(await Staff.exists({ _id: qualification.staffId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Qualification not found'
+      });
+    }
+
+    const previousExpiry = qualification.expiryDate ? qualification.expiryDate.getTime() : null;
+    QUALIFICATION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        qualification[field] = req.body[field];
+      }
+    });
+    if ((qualification.expiryDate ? qualification.expiryDate.getTime() : null) !== previousExpiry) {
+      qualification.expiryAlertSentAt = null;
+    }
+
+    const problem = await checkQualification(qualification);
+    if (problem) {
+      return res.status(400).json({
+        success: false,
+        message: problem
+      });
+    }
+
+    await qualification.save();
+
+    res.json({
+      success: true,
+      message: 'Qualification updated successfully',
+      qualification
+    });
+
+  } catch (error) {
+    console.error('Update staff qualification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete a staff member's qualification
+router.delete('/:id/qualifications/:qualificationId', [
+  authenticateToken,
+  requirePermission('staff:update', staffCourtScope)
+], async (req, res) => {
+  try {
+    const qualification = mongoose.Types.ObjectId.isValid(req.params.qualificationId)
+      ? await StaffQualification.findOne({ _id: req.params.qualificationId, staffId: req.params.id })
+      : null;
+    if (!qualification || !(await Staff.exists({ _id: qualification.staffId }))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Qualification not found'
+      });
+    }
+
+    await qualification.deleteOne();
+
     res.json({
       success: true,
-      staff
+      message: 'Qualification deleted successfully'
     });
+
   } catch (error) {
-    console.error('Get staff by status error:', error);
+    console.error('Delete staff qualification error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -85,156 +1731,163 @@ router.get('/status/:status', authenticateToken, async (req, res) => {
   }
 });
 
-// Get staff by court
-router.get('/court/:courtId', authenticateToken, async (req, res) => {
+// Parse an uploaded staff photo into req.file
+const photoUpload = (req, res, next) => {
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: PHOTO_MAX_FILE_SIZE, files: 1 }
+  }).single('photo')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Photos must not exceed ${PHOTO_MAX_FILE_SIZE / (1024 * 1024)} MB`
+          : 'Invalid upload'
+      });
+    }
+    next();
+  });
+};
+
+// Send a staff member's photo or its thumbnail. The ETag is the image
+// checksum, so clients can revalidate cheaply.
+const sendPhoto = (variant) => async (req, res) => {
   try {
-    const { courtId } = req.params;
-    
-    // Check if user has permission to view this court's staff
-    const court = await Court.findById(courtId);
-    if (!court) {
+    const staff = await Staff.findById(req.params.id).select('photo');
+    if (!staff || !staff.photo || !staff.photo.storageKey) {
       return res.status(404).json({
         success: false,
-        message: 'Court not found'
+        message: 'Photo not found'
       });
     }
 
-    // Check permissions
-    if (req.user.role !== 'admin') {
-      if (court.userId.toString() !== req.user.userId) {
-        // For circuit courts, also check if it's a magisterial court under their circuit
-        if (req.user.role === 'circuit') {
-          const userCourt = await Court.findOne({ userId: req.user.userId, type: 'circuit' });
-          if (!userCourt || court.circuitCourtId?.toString() !== userCourt._id.toString()) {
-            return res.status(403).json({
-              success: false,
-              message: 'Access denied'
-            });
-          }
-        } else {
-          return res.status(403).json({
-            success: false,
-            message: 'Access denied'
-          });
-        }
-      }
+    const { photo } = staff;
+    const thumbnail = variant === 'thumbnail';
+    res.set({
+      ETag: `"${thumbnail ? photo.thumbnailChecksum : photo.checksum}"`,
+      'Cache-Control': 'private, max-age=86400'
+    });
+    if (req.fresh) {
+      return res.status(304).end();
     }
-    
-    const staff = await Staff.getByCourt(courtId);
-    
-    res.json({
-      success: true,
-      staff
+
+    const stream = await openStoredFile({
+      storage: photo.storage,
+      storageKey: thumbnail ? photo.thumbnailKey : photo.storageKey
     });
+    res.type(photo.mimeType);
+    stream.on('error', (error) => {
+      console.error('Get staff photo error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+
   } catch (error) {
-    console.error('Get staff by court error:', error);
+    console.error('Get staff photo error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
     });
   }
-});
+};
 
-// Get staff statistics
-router.get('/statistics', authenticateToken, async (req, res) => {
+// Get a staff member's photo
+router.get('/:id/photo', authenticateToken, requirePermission('staff:read', staffCourtScope), sendPhoto('photo'));
+
+// Get a staff member's photo thumbnail
+router.get('/:id/photo/thumbnail', authenticateToken, requirePermission('staff:read', staffCourtScope), sendPhoto('thumbnail'));
+
+// Upload a staff member's photo, replacing any existing one
+const savePhoto = async (req, res) => {
   try {
-    let stats;
-    
-    if (req.user.role === 'admin') {
-      // Admin gets all statistics
-      stats = await Staff.getStatistics();
-    } else {
-      // Circuit and magisterial courts get their own statistics
-      const userCourts = await Court.find({ userId: req.user.userId, isActive: true });
-      const courtIds = userCourts.map(court => court._id);
-      
-      if (req.user.role === 'circuit') {
-        // Include magisterial courts under this circuit
-        const magisterialCourts = await Court.find({ 
-          circuitCourtId: { $in: courtIds },
-          isActive: true 
-        });
-        courtIds.push(...magisterialCourts.map(court => court._id));
-      }
-      
-      const staffStats = await Staff.aggregate([
-        { $match: { courtId: { $in: courtIds } } },
-        {
-          $group: {
-            _id: '$employmentStatus',
-            count: { $sum: 1 }
-          }
-        }
-      ]);
-      
-      stats = {
-        total: 0,
-        active: 0,
-        retired: 0,
-        dismissed: 0,
-        on_leave: 0
-      };
-      
-      staffStats.forEach(stat => {
-        stats[stat._id] = stat.count;
-        stats.total += stat.count;
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'A photo is required'
       });
     }
-    
-    res.json({
+    if (!PHOTO_MIME_TYPES.includes(req.file.mimetype)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Photos must be JPEG, PNG or WebP images'
+      });
+    }
+
+    const staff = await Staff.findById(req.params.id);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const previousPhoto = staff.photo && staff.photo.storageKey ? staff.photo.toObject() : null;
+    const stored = await storePhoto(staff._id, req.file.buffer);
+    staff.photo = {
+      ...stored,
+      uploadedAt: new Date(),
+      uploadedBy: req.user.userId || undefined,
+      uploadedByName: req.user.name || req.user.username
+    };
+    try {
+      await staff.save();
+    } catch (error) {
+      await removePhoto(stored);
+      throw error;
+    }
+
+    if (previousPhoto) {
+      await removePhoto(previousPhoto);
+    }
+
+    res.status(previousPhoto ? 200 : 201).json({
       success: true,
-      statistics: stats
+      message: previousPhoto ? 'Photo replaced successfully' : 'Photo uploaded successfully',
+      photo: staff.toJSON().photo,
+      thumbnailUrl: staff.toJSON().thumbnailUrl
     });
+
   } catch (error) {
-    console.error('Get staff statistics error:', error);
+    if (error instanceof PhotoError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Save staff photo error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
     });
   }
-});
+};
 
-// Get staff member by ID
-router.get('/:id', authenticateToken, async (req, res) => {
+router.post('/:id/photo', authenticateToken, requirePermission('staff:update', staffCourtScope), photoUpload, savePhoto);
+router.put('/:id/photo', authenticateToken, requirePermission('staff:update', staffCourtScope), photoUpload, savePhoto);
+
+// Remove a staff member's photo
+router.delete('/:id/photo', authenticateToken, requirePermission('staff:update', staffCourtScope), async (req, res) => {
   try {
-    const staff = await Staff.findById(req.params.id)
-      .populate('courtId', 'name type circuitCourtId');
-    
-    if (!staff) {
+    const staff = await Staff.findById(req.params.id);
+    if (!staff || !staff.photo || !staff.photo.storageKey) {
       return res.status(404).json({
         success: false,
-        message: 'Staff member not found'
+        message: 'Photo not found'
       });
     }
 
-    // Check permissions
-    if (req.user.role !== 'admin') {
-      const court = staff.courtId;
-      if (court.userId?.toString() !== req.user.userId) {
-        // For circuit courts, check if it's a magisterial court under their circuit
-        if (req.user.role === 'circuit') {
-          const userCourt = await Court.findOne({ userId: req.user.userId, type: 'circuit' });
-          if (!userCourt || court.circuitCourtId?.toString() !== userCourt._id.toString()) {
-            return res.status(403).json({
-              success: false,
-              message: 'Access denied'
-            });
-          }
-        } else {
-          return res.status(403).json({
-            success: false,
-            message: 'Access denied'
-          });
-        }
-      }
-    }
-    
+    const photo = staff.photo.toObject();
+    staff.photo = undefined;
+    await staff.save();
+    await removePhoto(photo);
+
     res.json({
       success: true,
-      staff
+      message: 'Photo removed successfully'
     });
+
   } catch (error) {
-    console.error('Get staff member error:', error);
+    console.error('Delete staff photo error:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -245,28 +1898,12 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // Create new staff member
 router.post('/', [
   authenticateToken,
-  body('name')
-    .trim()
-    .isLength({ min: 2 })
-    .withMessage('Name must be at least 2 characters long'),
-  body('position')
-    .trim()
-    .isLength({ min: 2 })
-    .withMessage('Position must be at least 2 characters long'),
-  body('courtId')
-    .notEmpty()
-    .withMessage('Court ID is required'),
-  body('courtType')
-    .isIn(['circuit', 'magisterial'])
-    .withMessage('Invalid court type'),
-  body('email')
-    .optional()
-    .isEmail()
-    .withMessage('Invalid email address'),
-  body('employmentStatus')
+  requirePermission('staff:create', scopes.body('courtId')),
+  ...createValidators,
+  body('confirmDuplicate')
     .optional()
-    .isIn(['active', 'retired', 'dismissed', 'on_leave'])
-    .withMessage('Invalid employment status')
+    .isBoolean({ strict: true })
+    .withMessage('Confirm duplicate must be true or false')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -279,7 +1916,8 @@ router.post('/', [
       });
     }
 
-    const { courtId, courtType, ...staffData } = req.body;
+    const { courtId, courtType, confirmDuplicate, ...staffData } = req.body;
+    MANAGED_FIELDS.forEach(field => delete staffData[field]);
 
     // Check if court exists and user has permission
     const court = await Court.findById(courtId);
@@ -290,24 +1928,35 @@ router.post('/', [
       });
     }
 
-    // Check permissions
-    if (req.user.role !== 'admin') {
-      if (court.userId.toString() !== req.user.userId) {
-        // For circuit courts, check if it's a magisterial court under their circuit
-        if (req.user.role === 'circuit') {
-          const userCourt = await Court.findOne({ userId: req.user.userId, type: 'circuit' });
-          if (!userCourt || court.circuitCourtId?.toString() !== userCourt._id.toString()) {
-            return res.status(403).json({
-              success: false,
-              message: 'Access denied'
-            });
-          }
-        } else {
-          return res.status(403).json({
-            success: false,
-            message: 'Access denied'
-          });
-        }
+    const position = await Position.findById(req.body.positionId);
+    if (!position || !position.isActive || !position.appliesTo(court.type)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid position'
+      });
+    }
+    staffData.position = position.title;
+
+    // Check permissions for sensitive fields
+    const missingPermission = missingFieldPermission(req.user, req.body);
+    if (missingPermission) {
+      return permissionDenied(res, missingPermission);
+    }
+
+    // Stop possible duplicates, in any court, unless the caller confirms
+    // this is a different person
+    if (confirmDuplicate !== true) {
+      const duplicates = await findDuplicates(req.body);
+      if (duplicates.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Possible duplicates of this staff member exist; set confirmDuplicate to create the record anyway',
+          duplicates: duplicates.map(({ staff, score, matchedOn }) => ({
+            staff: summarizeDuplicate(staff),
+            score,
+            matchedOn
+          }))
+        });
       }
     }
 
@@ -318,12 +1967,26 @@ router.post('/', [
       courtType
     });
     await staff.save();
+    await EmploymentEvent.create({
+      ...EmploymentEvent.initialEventFor(staff),
+      reason: 'Staff member added',
+      ...recorder(req)
+    });
+    if (staff.salary !== undefined && staff.salary !== null) {
+      await staff.updateSalary({
+        amount: staff.salary,
+        effectiveDate: staff.hireDate,
+        reason: 'Starting salary',
+        approvedBy: req.user.userId || undefined,
+        approvedByName: req.user.name || req.user.username
+      });
+    }
     await staff.populate('courtId', 'name type');
 
     res.status(201).json({
       success: true,
       message: 'Staff member created successfully',
-      staff
+      staff: hideSalary(req, staff)
     });
 
   } catch (error) {
@@ -338,24 +2001,50 @@ router.post('/', [
 // Update staff member
 router.put('/:id', [
   authenticateToken,
+  requirePermission('staff:update', staffCourtScope),
   body('name')
     .optional()
     .trim()
     .isLength({ min: 2 })
     .withMessage('Name must be at least 2 characters long'),
   body('position')
+    .not()
+    .exists()
+    .withMessage('Set positionId to change the position'),
+  body('salary')
+    .not()
+    .exists()
+    .withMessage('Use POST /api/staff/:id/salary to change the salary'),
+  body('positionId')
     .optional()
-    .trim()
-    .isLength({ min: 2 })
-    .withMessage('Position must be at least 2 characters long'),
+    .isMongoId()
+    .withMessage('Invalid position ID'),
   body('email')
     .optional()
     .isEmail()
     .withMessage('Invalid email address'),
+  body('nationalId')
+    .optional()
+    .trim()
+    .isLength({ min: 4, max: 30 })
+    .withMessage('National ID must be between 4 and 30 characters long'),
   body('employmentStatus')
     .optional()
     .isIn(['active', 'retired', 'dismissed', 'on_leave'])
-    .withMessage('Invalid employment status')
+    .withMessage('Invalid employment status'),
+  body('statusDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Status date must be a valid date'),
+  body('statusReason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Status reason must not exceed 200 characters'),
+  body('statusNotes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Status notes must not exceed 1000 characters')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -379,35 +2068,50 @@ router.put('/:id', [
       });
     }
 
-    // Check permissions
-    if (req.user.role !== 'admin') {
-      const court = staff.courtId;
-      if (court.userId?.toString() !== req.user.userId) {
-        // For circuit courts, check if it's a magisterial court under their circuit
-        if (req.user.role === 'circuit') {
-          const userCourt = await Court.findOne({ userId: req.user.userId, type: 'circuit' });
-          if (!userCourt || court.circuitCourtId?.toString() !== userCourt._id.toString()) {
-            return res.status(403).json({
-              success: false,
-              message: 'Access denied'
-            });
-          }
-        } else {
-          return res.status(403).json({
-            success: false,
-            message: 'Access denied'
-          });
-        }
+    // Court changes go through the transfer endpoint so they are validated
+    // and recorded
+    if ((updateData.courtId && String(updateData.courtId) !== String(staff.courtId._id)) ||
+        (updateData.courtType && updateData.courtType !== staff.courtType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /api/staff/:id/transfer to move staff to another court'
+      });
+    }
+
+    // Positions come from the catalog; the title is copied for listings
+    if (updateData.positionId) {
+      const position = await Position.findById(updateData.positionId);
+      if (!position || !position.isActive || !position.appliesTo(staff.courtType)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid position'
+        });
       }
+      updateData.position = position.title;
+    }
+
+    // Check permissions for sensitive fields
+    const changes = { ...updateData };
+    if (changes.employmentStatus === staff.employmentStatus) {
+      delete changes.employmentStatus;
+    }
+    const missingPermission = missingFieldPermission(req.user, changes);
+    if (missingPermission) {
+      return permissionDenied(res, missingPermission);
     }
 
     // Handle employment status change
     if (updateData.employmentStatus && updateData.employmentStatus !== staff.employmentStatus) {
-      await staff.updateEmploymentStatus(updateData.employmentStatus, updateData.statusDate);
+      await staff.updateEmploymentStatus(updateData.employmentStatus, updateData.statusDate, {
+        reason: updateData.statusReason,
+        notes: updateData.statusNotes,
+        expectedEndDate: updateData.leaveEndDate,
+        ...recorder(req)
+      });
     } else {
-      // Update other fields
+      // Update other fields; status dates come from the employment history
       Object.keys(updateData).forEach(key => {
-        if (key !== 'employmentStatus' && key !== 'statusDate') {
+        if (!STATUS_FIELDS.includes(key) && !MANAGED_FIELDS.includes(key)) {
           staff[key] = updateData[key];
         }
       });
@@ -419,7 +2123,7 @@ router.put('/:id', [
     res.json({
       success: true,
       message: 'Staff member updated successfully',
-      staff
+      staff: hideSalary(req, staff)
     });
 
   } catch (error) {
@@ -431,12 +2135,10 @@ router.put('/:id', [
   }
 });
 
-// Delete staff member (admin only)
-router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+// Move staff member to the trash
+router.delete('/:id', authenticateToken, requirePermission('staff:delete', staffCourtScope), async (req, res) => {
   try {
-    const staffId = req.params.id;
-
-    const staff = await Staff.findById(staffId);
+    const staff = await Staff.findById(req.params.id);
     if (!staff) {
       return res.status(404).json({
         success: false,
@@ -444,11 +2146,28 @@ router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res
       });
     }
 
-    await Staff.findByIdAndDelete(staffId);
+    // Due transfers and leave would otherwise still be applied to them
+    if (await Transfer.findOpenForStaff(staff._id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Staff member has an open transfer; complete or cancel it before moving them to the trash'
+      });
+    }
+    if (await LeaveRequest.exists({ staffId: staff._id, status: 'approved', returnedAt: null })) {
+      return res.status(409).json({
+        success: false,
+        message: 'Staff member has approved leave that has not ended; cancel it or end it early before moving them to the trash'
+      });
+    }
+
+    await staff.softDelete({
+      deletedBy: req.user.userId || undefined,
+      deletedByName: req.user.name || req.user.username
+    });
 
     res.json({
       success: true,
-      message: 'Staff member deleted successfully'
+      message: 'Staff member moved to the trash'
     });
 
   } catch (error) {
@@ -460,4 +2179,175 @@ router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res
   }
 });
 
+// Restore staff member from the trash
+router.post('/:id/restore', authenticateToken, requirePermission('staff:delete', trashedStaffCourtScope), async (req, res) => {
+  try {
+    const staff = await Staff.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found in the trash'
+      });
+    }
+    if (staff.mergedInto) {
+      return res.status(400).json({
+        success: false,
+        message: 'Staff records merged into another record cannot be restored'
+      });
+    }
+
+    await staff.restore();
+    await staff.populate('courtId', 'name type');
+
+    res.json({
+      success: true,
+      message: 'Staff member restored successfully',
+      staff: hideSalary(req, staff)
+    });
+
+  } catch (error) {
+    console.error('Restore staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Merge a duplicate record into this one. The duplicate's history, leave,
+// transfers, documents, qualifications and salary records move here,
+// details missing here are copied from it, and it goes to the trash.
+router.post('/:id/merge', [
+  authenticateToken,
+  requirePermission('staff:merge', staffCourtScope),
+  body('duplicateId')
+    .isMongoId()
+    .withMessage('Duplicate staff ID is required')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const [staff, duplicate] = await Promise.all([
+      Staff.findById(req.params.id),
+      Staff.findById(req.body.duplicateId)
+    ]);
+    if (!staff || !duplicate) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+    if (!canAccessCourt(req.user, duplicate.courtId)) {
+      return permissionDenied(res, 'staff:merge');
+    }
+
+    let result;
+    try {
+      result = await mergeStaff(staff, duplicate, {
+        mergedBy: req.user.userId || undefined,
+        mergedByName: req.user.name || req.user.username
+      });
+    } catch (error) {
+      if (error instanceof MergeError) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+    await staff.populate('courtId', 'name type');
+
+    res.json({
+      success: true,
+      message: 'Staff records merged successfully',
+      staff: hideSalary(req, staff),
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Merge staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Permanently delete a staff member in the trash, with their history.
+// The caller confirms by repeating the staff member's name.
+router.delete('/:id/purge', [
+  authenticateToken,
+  requirePermission('staff:purge', trashedStaffCourtScope),
+  body('confirm')
+    .isString()
+    .withMessage('Confirm the purge by giving the staff member\'s name')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const staff = await Staff.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found in the trash'
+      });
+    }
+
+    if (req.body.confirm.trim() !== staff.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Confirmation does not match the staff member\'s name'
+      });
+    }
+
+    const staffId = staff._id;
+    const documents = await StaffDocument.find({ staffId });
+    await Staff.deleteOne({ _id: staffId });
+    for (const document of documents) {
+      await removeStoredFile(document);
+    }
+    if (staff.photo && staff.photo.storageKey) {
+      await removePhoto(staff.photo);
+    }
+    await Promise.all([
+      EmploymentEvent.deleteMany({ staffId }),
+      Transfer.deleteMany({ staffId }),
+      LeaveRequest.deleteMany({ staffId }),
+      LeaveEntitlement.deleteMany({ staffId }),
+      StaffDocument.deleteMany({ staffId }),
+      StaffQualification.deleteMany({ staffId }),
+      SalaryRecord.deleteMany({ staffId })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Staff member permanently deleted'
+    });
+
+  } catch (error) {
+    console.error('Purge staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,287 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Transfer = require('../models/Transfer');
+const Court = require('../models/Court');
+const {
+  authenticateToken,
+  requirePermission,
+  permissionDenied,
+  canAccessCourt,
+  courtScopeFilter
+} = require('../middleware/auth');
+const router = express.Router();
+
+// Scope resolvers: the receiving or sending court of the transfer in the route
+const receivingCourtScope = async (req) => {
+  const transfer = await Transfer.findById(req.params.id).select('toCourtId');
+  return transfer ? transfer.toCourtId : null;
+};
+
+const sendingCourtScope = async (req) => {
+  const transfer = await Transfer.findById(req.params.id).select('fromCourtId');
+  return transfer ? transfer.fromCourtId : null;
+};
+
+// Transfers touching the user's courts, in or out
+const transferScopeFilter = (user) => ({
+  $or: [courtScopeFilter(user, 'fromCourtId'), courtScopeFilter(user, 'toCourtId')]
+});
+
+const populateCourts = [
+  { path: 'staffId', select: 'name position' },
+  { path: 'fromCourtId', select: 'name type' },
+  { path: 'toCourtId', select: 'name type' }
+];
+
+const decisionValidators = [
+  body('notes')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Notes must not exceed 1000 characters')
+];
+
+// Get transfers into or out of the user's courts
+router.get('/', [
+  authenticateToken,
+  requirePermission('staff:read'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected', 'cancelled', 'completed'])
+    .withMessage('Invalid transfer status'),
+  query('courtId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid court ID')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const conditions = [transferScopeFilter(req.user)];
+    if (req.query.status) {
+      conditions.push({ status: req.query.status });
+    }
+    if (req.query.courtId) {
+      conditions.push({ $or: [{ fromCourtId: req.query.courtId }, { toCourtId: req.query.courtId }] });
+    }
+
+    const transfers = await Transfer.find({ $and: conditions })
+      .populate(populateCourts)
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      transfers
+    });
+  } catch (error) {
+    console.error('Get transfers error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Report of completed transfers in and out of each court
+router.get('/report', [
+  authenticateToken,
+  requirePermission('staff:read'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Report dates must be valid dates')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+
+    const rows = await Transfer.getCourtReport({ from, to, courtIds: req.user.courtIds });
+    const courts = await Court.find({ _id: { $in: rows.map(row => row.courtId) } }).select('name type');
+    const courtsById = new Map(courts.map(court => [court._id.toString(), court]));
+
+    res.json({
+      success: true,
+      period: { from: from || null, to: to || null },
+      report: rows
+        .map(row => ({ ...row, court: courtsById.get(row.courtId.toString()) || null }))
+        .sort((a, b) => (a.court ? a.court.name : '').localeCompare(b.court ? b.court.name : ''))
+    });
+  } catch (error) {
+    console.error('Get transfer report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get transfer by ID
+router.get('/:id', authenticateToken, requirePermission('staff:read'), async (req, res) => {
+  try {
+    const transfer = await Transfer.findById(req.params.id)
+      .populate(populateCourts)
+      .populate('requestedBy', 'name username')
+      .populate('decidedBy', 'name username');
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    // Visible from either end of the transfer
+    if (!canAccessCourt(req.user, transfer.fromCourtId._id) && !canAccessCourt(req.user, transfer.toCourtId._id)) {
+      return permissionDenied(res, 'staff:read');
+    }
+
+    res.json({
+      success: true,
+      transfer
+    });
+  } catch (error) {
+    console.error('Get transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Approve or reject a pending transfer on behalf of the receiving court
+const decideTransfer = (approved) => async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transfer = await Transfer.findById(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    if (transfer.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending transfers can be approved or rejected'
+      });
+    }
+
+    await transfer.decide(approved, {
+      decidedBy: req.user.userId || undefined,
+      decidedByName: req.user.name || req.user.username,
+      notes: req.body.notes
+    });
+
+    // Transfers already in effect are applied straight away
+    if (approved && transfer.effectiveDate <= new Date()) {
+      await transfer.complete();
+    }
+
+    await transfer.populate(populateCourts);
+
+    res.json({
+      success: true,
+      message: approved ? 'Transfer approved successfully' : 'Transfer rejected',
+      transfer
+    });
+
+  } catch (error) {
+    console.error('Decide transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+};
+
+router.post('/:id/approve', [
+  authenticateToken,
+  requirePermission('staff:transfer:approve', receivingCourtScope),
+  ...decisionValidators
+], decideTransfer(true));
+
+router.post('/:id/reject', [
+  authenticateToken,
+  requirePermission('staff:transfer:approve', receivingCourtScope),
+  ...decisionValidators
+], decideTransfer(false));
+
+// Cancel a transfer that has not taken effect yet
+router.post('/:id/cancel', [
+  authenticateToken,
+  requirePermission('staff:transfer', sendingCourtScope),
+  ...decisionValidators
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const transfer = await Transfer.findById(req.params.id);
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transfer not found'
+      });
+    }
+
+    if (!['pending', 'approved'].includes(transfer.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only transfers that have not taken effect can be cancelled'
+      });
+    }
+
+    transfer.status = 'cancelled';
+    transfer.decisionNotes = req.body.notes;
+    await transfer.save();
+
+    res.json({
+      success: true,
+      message: 'Transfer cancelled successfully',
+      transfer
+    });
+
+  } catch (error) {
+    console.error('Cancel transfer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,30 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { authenticateToken, requireRole } = require('../middleware/auth');
+const Role = require('../models/Role');
+const Session = require('../models/Session');
+const AuthEvent = require('../models/AuthEvent');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { createResetToken, sendResetEmail, buildResetUrl } = require('../services/password-reset-service');
+const { validatePassword, sendPolicyViolations } = require('../services/password-policy');
+const {
+  authenticateToken,
+  requirePermission,
+  permissionDenied,
+  hasPermission
+} = require('../middleware/auth');
 const router = express.Router();
 
-// Get all users (admin only)
-router.get('/', authenticateToken, requireRole(['admin']), async (req, res) => {
+// Validator: the value names an existing role
+const isExistingRole = async (value) => {
+  if (!(await Role.findByName(value))) {
+    throw new Error('Invalid role');
+  }
+  return true;
+};
+
+// Get all users
+router.get('/', authenticateToken, requirePermission('user:read'), async (req, res) => {
   try {
     const users = await User.find({ isActive: true })
       .select('-password')
@@ -24,12 +43,149 @@ router.get('/', authenticateToken, requireRole(['admin']), async (req, res) => {
   }
 });
 
+// Get login security events (admin only)
+router.get('/auth-events', authenticateToken, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const { type, userId, username } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    const query = {};
+    if (type) query.type = type;
+    if (userId) query.userId = userId;
+    if (username) query.username = String(username).toLowerCase();
+
+    const events = await AuthEvent.find(query)
+      .populate('userId', 'name username role courtId')
+      .populate('performedBy', 'name username')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      events
+    });
+  } catch (error) {
+    console.error('Get auth events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get the security policy (admin only)
+router.get('/security-policy', authenticateToken, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const policy = await SecurityPolicy.getPolicy();
+
+    res.json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    console.error('Get security policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Update the security policy (admin only)
+router.put('/security-policy', [
+  authenticateToken,
+  requirePermission('security:manage'),
+  body('twoFactorRequiredRoles')
+    .optional()
+    .isArray()
+    .withMessage('Two-factor required roles must be a list'),
+  body('twoFactorRequiredRoles.*')
+    .custom(isExistingRole)
+    .withMessage('Invalid role'),
+  body('passwordPolicy.minLength')
+    .optional()
+    .isInt({ min: 6, max: 128 })
+    .withMessage('Minimum length must be between 6 and 128'),
+  body([
+    'passwordPolicy.requireUppercase',
+    'passwordPolicy.requireLowercase',
+    'passwordPolicy.requireNumber',
+    'passwordPolicy.requireSymbol',
+    'passwordPolicy.blockCommonPasswords'
+  ])
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Must be true or false'),
+  body('passwordPolicy.blockedPasswords')
+    .optional()
+    .isArray()
+    .withMessage('Blocked passwords must be a list'),
+  body('passwordPolicy.historyCount')
+    .optional()
+    .isInt({ min: 0, max: 24 })
+    .withMessage('Password history must be between 0 and 24'),
+  body('passwordPolicy.maxAgeDays')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Maximum password age must be zero or more days')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const policy = await SecurityPolicy.getPolicy();
+
+    if (req.body.twoFactorRequiredRoles) {
+      policy.twoFactorRequiredRoles = [...new Set(req.body.twoFactorRequiredRoles)];
+    }
+    if (req.body.passwordPolicy) {
+      const allowedFields = [
+        'minLength',
+        'requireUppercase',
+        'requireLowercase',
+        'requireNumber',
+        'requireSymbol',
+        'blockCommonPasswords',
+        'blockedPasswords',
+        'historyCount',
+        'maxAgeDays'
+      ];
+      allowedFields.forEach(field => {
+        if (req.body.passwordPolicy[field] !== undefined) {
+          policy.passwordPolicy[field] = req.body.passwordPolicy[field];
+        }
+      });
+    }
+    policy.updatedBy = req.user.userId;
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: 'Security policy updated successfully',
+      policy
+    });
+  } catch (error) {
+    console.error('Update security policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Get user by ID
 router.get('/:id', authenticateToken, async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
       .select('-password')
-      .populate('circuitCourtId', 'name');
+      .populate('courtId', 'name type');
     
     if (!user) {
       return res.status(404).json({
@@ -38,12 +194,9 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    // Check if user has permission to view this user
-    if (req.user.role !== 'admin' && req.user.userId !== user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
+    // Users can always view their own account
+    if (req.user.userId !== user._id.toString() && !hasPermission(req.user, 'user:read')) {
+      return permissionDenied(res, 'user:read');
     }
     
     res.json({
@@ -59,10 +212,10 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Create new user (admin only)
+// Create new user
 router.post('/', [
   authenticateToken,
-  requireRole(['admin']),
+  requirePermission('user:manage'),
   body('username')
     .trim()
     .isLength({ min: 3 })
@@ -70,15 +223,25 @@ router.post('/', [
     .isAlphanumeric()
     .withMessage('Username must contain only letters and numbers'),
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
   body('name')
     .trim()
     .isLength({ min: 2 })
     .withMessage('Name must be at least 2 characters long'),
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email address'),
   body('role')
-    .isIn(['admin'])
-    .withMessage('Invalid role')
+    .custom(isExistingRole)
+    .withMessage('Invalid role'),
+  body('courtId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid court ID')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -91,7 +254,7 @@ router.post('/', [
       });
     }
 
-    const { username, password, name, role, circuitCourtId } = req.body;
+    const { username, password, name, email, role, courtId } = req.body;
 
     // Check if username already exists
     const existingUser = await User.findByUsername(username);
@@ -102,18 +265,31 @@ router.post('/', [
       });
     }
 
+    // Check the password policy
+    const policy = await SecurityPolicy.getPolicy();
+    const violations = await validatePassword(password, policy.passwordPolicy, { username });
+    if (violations.length > 0) {
+      return sendPolicyViolations(res, violations);
+    }
+
     // Create new user
     const userData = {
       username,
       password,
       name,
+      email,
       role
     };
 
-    // Add circuitCourtId for magisterial users
-    if (role === 'magisterial' && circuitCourtId) {
-      userData.circuitCourtId = circuitCourtId;
+    // Link court accounts to their court
+    const courtError = await User.checkCourtAssignment(role, courtId);
+    if (courtError) {
+      return res.status(400).json({
+        success: false,
+        message: courtError
+      });
     }
+    userData.courtId = courtId;
 
     const user = new User(userData);
     await user.save();
@@ -125,8 +301,9 @@ router.post('/', [
         id: user._id,
         username: user.username,
         name: user.name,
+        email: user.email,
         role: user.role,
-        circuitCourtId: user.circuitCourtId
+        courtId: user.courtId
       }
     });
 
@@ -139,7 +316,7 @@ router.post('/', [
   }
 });
 
-// Update user (admin only or own profile)
+// Update user (user managers, or own profile)
 router.put('/:id', [
   authenticateToken,
   body('name')
@@ -147,10 +324,19 @@ router.put('/:id', [
     .trim()
     .isLength({ min: 2 })
     .withMessage('Name must be at least 2 characters long'),
+  body('email')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Invalid email address'),
   body('role')
     .optional()
-    .isIn(['admin'])
-    .withMessage('Invalid role')
+    .custom(isExistingRole)
+    .withMessage('Invalid role'),
+  body('courtId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid court ID')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -164,22 +350,12 @@ router.put('/:id', [
     }
 
     const userId = req.params.id;
-    const { name, role, circuitCourtId, isActive } = req.body;
+    const { name, email, role, courtId, isActive } = req.body;
 
-    // Check if user has permission to update this user
-    if (req.user.role !== 'admin' && req.user.userId !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied'
-      });
-    }
-
-    // Non-admin users can only update their own name
-    if (req.user.role !== 'admin' && (role || circuitCourtId || isActive !== undefined)) {
-      return res.status(403).json({
-        success: false,
-        message: 'Access denied - insufficient permissions'
-      });
+    // Users without user:manage can only update their own name and email
+    const canManage = hasPermission(req.user, 'user:manage');
+    if (!canManage && (req.user.userId !== userId || role || courtId || isActive !== undefined)) {
+      return permissionDenied(res, 'user:manage');
     }
 
     const user = await User.findById(userId);
@@ -192,12 +368,28 @@ router.put('/:id', [
 
     // Update user fields
     if (name) user.name = name;
-    if (role && req.user.role === 'admin') user.role = role;
-    if (circuitCourtId && req.user.role === 'admin') user.circuitCourtId = circuitCourtId;
-    if (isActive !== undefined && req.user.role === 'admin') user.isActive = isActive;
+    if (email) user.email = email;
+    if (role && canManage) user.role = role;
+    if (courtId && canManage) user.courtId = courtId;
+    if (isActive !== undefined && canManage) user.isActive = isActive;
+
+    // Court accounts must stay linked to a court that suits their role
+    if (user.isModified('role') || user.isModified('courtId')) {
+      const courtError = await User.checkCourtAssignment(user.role, user.courtId);
+      if (courtError) {
+        return res.status(400).json({
+          success: false,
+          message: courtError
+        });
+      }
+    }
 
     await user.save();
 
+    if (user.isActive === false) {
+      await Session.revokeAllForUser(user._id, 'user_deactivated');
+    }
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -205,8 +397,9 @@ router.put('/:id', [
         id: user._id,
         username: user.username,
         name: user.name,
+        email: user.email,
         role: user.role,
-        circuitCourtId: user.circuitCourtId,
+        courtId: user.courtId,
         isActive: user.isActive
       }
     });
@@ -220,12 +413,12 @@ router.put('/:id', [
   }
 });
 
-// Deactivate user (admin only)
-router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res) => {
+// Deactivate user
+router.delete('/:id', authenticateToken, requirePermission('user:manage'), async (req, res) => {
   try {
     const userId = req.params.id;
 
-    // Prevent admin from deactivating themselves
+    // Prevent users from deactivating themselves
     if (req.user.userId === userId) {
       return res.status(400).json({
         success: false,
@@ -243,6 +436,7 @@ router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res
 
     user.isActive = false;
     await user.save();
+    await Session.revokeAllForUser(user._id, 'user_deactivated');
 
     res.json({
       success: true,
@@ -259,11 +453,11 @@ router.delete('/:id', authenticateToken, requireRole(['admin']), async (req, res
 });
 
 // Get users by role
-router.get('/role/:role', authenticateToken, requireRole(['admin']), async (req, res) => {
+router.get('/role/:role', authenticateToken, requirePermission('user:read'), async (req, res) => {
   try {
     const { role } = req.params;
     
-    if (!['admin', 'circuit', 'magisterial'].includes(role)) {
+    if (!(await Role.findByName(role))) {
       return res.status(400).json({
         success: false,
         message: 'Invalid role'
@@ -272,7 +466,7 @@ router.get('/role/:role', authenticateToken, requireRole(['admin']), async (req,
 
     const users = await User.find({ role, isActive: true })
       .select('-password')
-      .populate('circuitCourtId', 'name')
+      .populate('courtId', 'name type')
       .sort({ name: 1 });
     
     res.json({
@@ -288,4 +482,199 @@ router.get('/role/:role', authenticateToken, requireRole(['admin']), async (req,
   }
 });
 
+// Unlock a locked account (admin only)
+router.post('/:id/unlock', authenticateToken, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.resetLoginAttempts();
+    await AuthEvent.record('account_unlocked', {
+      user,
+      req,
+      performedBy: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      message: 'User account unlocked successfully'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Force a password reset (admin only)
+router.post('/:id/force-password-reset', authenticateToken, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // The current password stops working and every session is signed out
+    user.passwordResetRequired = true;
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'password_reset_forced');
+
+    const token = await createResetToken(user, { requestedBy: req.user.userId, req });
+    await AuthEvent.record('password_reset_forced', {
+      user,
+      req,
+      performedBy: req.user.userId
+    });
+
+    // Users without an email address get the link through the administrator
+    if (!user.email) {
+      return res.json({
+        success: true,
+        message: 'Password reset forced. The user has no email address, so share this link with them.',
+        resetUrl: buildResetUrl(token)
+      });
+    }
+
+    await sendResetEmail(user, token, { forced: true });
+
+    res.json({
+      success: true,
+      message: 'Password reset forced. A reset link has been emailed to the user.'
+    });
+  } catch (error) {
+    console.error('Force password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Reset two-factor authentication of a user (admin only)
+router.post('/:id/2fa/reset', authenticateToken, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // The user re-enrolls at next login if their role requires it
+    await user.clearTwoFactor();
+    await Session.revokeAllForUser(user._id, 'two_factor_reset');
+    await AuthEvent.record('two_factor_reset', {
+      user,
+      req,
+      performedBy: req.user.userId
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully'
+    });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get active sessions of a user (admin only)
+router.get('/:id/sessions', authenticateToken, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const sessions = await Session.getActiveSessions(user._id);
+
+    res.json({
+      success: true,
+      sessions
+    });
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Revoke all sessions of a user (admin only)
+router.delete('/:id/sessions', authenticateToken, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const result = await Session.revokeAllForUser(user._id, 'revoked_by_admin');
+
+    res.json({
+      success: true,
+      message: 'Sessions revoked successfully',
+      revokedSessions: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Revoke a single session of a user (admin only)
+router.delete('/:id/sessions/:sessionId', authenticateToken, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.sessionId,
+      userId: req.params.id
+    });
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    if (!session.revokedAt) {
+      await session.revoke('revoked_by_admin');
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -7,9 +7,15 @@ require('dotenv').config();
 const User = require('./models/User');
 const Court = require('./models/Court');
 const Staff = require('./models/Staff');
+const Role = require('./models/Role');
+const EmploymentEvent = require('./models/EmploymentEvent');
+const Position = require('./models/Position');
+const SalaryRecord = require('./models/SalaryRecord');
+const { migrateLegacyPasswords } = require('./services/credential-service');
+const { startScheduler } = require('./services/job-scheduler');
 
 // Import routes 
-let authRoutes, userRoutes, courtRoutes, staffRoutes;
+let authRoutes, userRoutes, courtRoutes, staffRoutes, roleRoutes, apiKeyRoutes, transferRoutes, leaveRoutes, jobRoutes, positionRoutes, payScaleRoutes, qualificationRoutes;
 
 // Will be set after we know if we're using database or memory store
 
@@ -42,7 +48,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key']
 }));
 app.use(express.json());
 if (process.env.NODE_ENV !== 'production') {
@@ -58,7 +64,7 @@ mongoose.connect(MONGODB_URI, {
   //useNewUrlParser: true,
   //useUnifiedTopology: true,
 })
-.then(() => {
+.then(async () => {
   console.log('Connected to MongoDB');
   useDatabase = true;
   // Load database routes
@@ -66,9 +72,66 @@ mongoose.connect(MONGODB_URI, {
   userRoutes = require('./routes/users');
   courtRoutes = require('./routes/courts');
   staffRoutes = require('./routes/staff');
-  // Initialize sample data if database is empty
-  initializeSampleData();
+  roleRoutes = require('./routes/roles');
+  apiKeyRoutes = require('./routes/api-keys');
+  transferRoutes = require('./routes/transfers');
+  leaveRoutes = require('./routes/leave');
+  jobRoutes = require('./routes/jobs');
+  positionRoutes = require('./routes/positions');
+  payScaleRoutes = require('./routes/pay-scales');
+  qualificationRoutes = require('./routes/qualifications');
   setupRoutes();
+  // Built-in roles must exist before anyone can be authorized
+  try {
+    await Role.ensureDefaultRoles();
+  } catch (error) {
+    console.error('Error creating default roles:', error);
+  }
+  // Hash any passwords still stored in plaintext
+  try {
+    const migrated = await migrateLegacyPasswords();
+    if (migrated > 0) {
+      console.log(`Hashed ${migrated} legacy plaintext password(s)`);
+    }
+  } catch (error) {
+    console.error('Error migrating legacy passwords:', error);
+  }
+  // Initialize sample data if database is empty
+  await initializeSampleData();
+  // Give staff created before history was kept a starting history entry
+  try {
+    const backfilled = await EmploymentEvent.backfillInitialEvents();
+    if (backfilled > 0) {
+      console.log(`Recorded initial employment history for ${backfilled} staff member(s)`);
+    }
+  } catch (error) {
+    console.error('Error backfilling employment history:', error);
+  }
+  // Give staff with a salary but no salary history a starting record
+  try {
+    const backfilled = await SalaryRecord.backfillInitialRecords();
+    if (backfilled > 0) {
+      console.log(`Recorded initial salary history for ${backfilled} staff member(s)`);
+    }
+  } catch (error) {
+    console.error('Error backfilling salary history:', error);
+  }
+  // Link free-text staff positions to the position catalog
+  try {
+    const { linked, created } = await Position.migrateStaffPositions();
+    if (linked > 0) {
+      console.log(`Linked ${linked} staff member(s) to catalog positions (${created} position(s) created)`);
+    }
+  } catch (error) {
+    console.error('Error migrating staff positions:', error);
+  }
+  // Start the background jobs that apply date-based changes
+  try {
+    require('./services/jobs');
+    await startScheduler();
+  } catch (error) {
+    console.error('Error starting job scheduler:', error);
+  }
 })
 .catch((error) => {
   console.error('MongoDB connection error:', error);
@@ -91,6 +154,14 @@ function setupRoutes() {
     app.use('/api/users', userRoutes);
     app.use('/api/courts', courtRoutes);
     app.use('/api/staff', staffRoutes);
+    app.use('/api/roles', roleRoutes);
+    app.use('/api/api-keys', apiKeyRoutes);
+    app.use('/api/transfers', transferRoutes);
+    app.use('/api/leave', leaveRoutes);
+    app.use('/api/jobs', jobRoutes);
+    app.use('/api/positions', positionRoutes);
+    app.use('/api/pay-scales', payScaleRoutes);
+    app.use('/api/qualifications', qualificationRoutes);
   }
 }
 
@@ -134,14 +205,16 @@ async function initializeSampleData() {
         username: 'admin',
         password: 'admin123',
         role: 'admin',
-        name: 'System Administrator'
+        name: 'System Administrator',
+        passwordResetRequired: true
       }
     ];
     
-    const createdUsers = await User.insertMany(users);
+    // create() runs the save hooks, so passwords are hashed
+    await User.create(users);
     console.log('Sample users created');
     
-    // Create sample courts - organizational units only (no login accounts)
+    // Create sample courts
     const courts = [
       {
         name: 'First Circuit Court',
@@ -185,6 +258,27 @@ async function initializeSampleData() {
     );
     
     console.log('Sample courts created');
+
+    // Create sample court accounts linked to their courts
+    await User.create([
+      {
+        username: 'firstcircuit',
+        password: 'circuit123',
+        role: 'circuit',
+        name: 'First Circuit Court Registrar',
+        courtId: createdCourts[0]._id,
+        passwordResetRequired: true
+      },
+      {
+        username: 'centralmagisterial',
+        password: 'magisterial123',
+        role: 'magisterial',
+        name: 'Central Magisterial Court Clerk',
+        courtId: createdCourts[2]._id,
+        passwordResetRequired: true
+      }
+    ]);
+    console.log('Sample court accounts created');
     
 
     
@@ -0,0 +1,73 @@
+// Password hashing and verification shared by every login path
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+
+const BCRYPT_COST = parseInt(process.env.BCRYPT_COST, 10) || 12;
+const BCRYPT_HASH = /^\$2[aby]\$\d{2}\$.{53}$/;
+
+// Compared against when there is no stored hash, so that unknown usernames
+// take as long to reject as wrong passwords
+const DUMMY_HASH = bcrypt.hashSync('dummy-password-for-timing', BCRYPT_COST);
+
+const isBcryptHash = (value) => BCRYPT_HASH.test(String(value || ''));
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_COST);
+
+// Check a candidate password against a stored value. Legacy plaintext
+// values are still accepted; needsRehash tells the caller to replace the
+// stored value (plaintext, or a hash made with a different cost).
+const verifyPassword = async (candidate, stored) => {
+  if (!stored) {
+    await bcrypt.compare(String(candidate || ''), DUMMY_HASH);
+    return { valid: false, needsRehash: false };
+  }
+
+  if (isBcryptHash(stored)) {
+    const valid = await bcrypt.compare(String(candidate || ''), stored);
+    return { valid, needsRehash: valid && bcrypt.getRounds(stored) !== BCRYPT_COST };
+  }
+
+  // Legacy plaintext password
+  const expected = Buffer.from(String(stored));
+  const actual = Buffer.from(String(candidate || ''));
+  const valid = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  return { valid, needsRehash: valid };
+};
+
+// Verify a user's password and upgrade the stored hash when needed.
+// The upgrade is written directly so it does not count as a password change.
+const verifyUserPassword = async (user, candidate) => {
+  const { valid, needsRehash } = await verifyPassword(candidate, user && user.password);
+
+  if (valid && needsRehash) {
+    const hashedPassword = await hashPassword(candidate);
+    await user.constructor.updateOne({ _id: user._id }, { password: hashedPassword });
+    user.password = hashedPassword;
+    user.$locals.previousPasswordHash = hashedPassword;
+  }
+
+  return valid;
+};
+
+// Hash any plaintext passwords left in the users collection
+const migrateLegacyPasswords = async () => {
+  const User = mongoose.model('User');
+  const users = await User.find({
+    password: { $not: /^\$2[aby]\$\d{2}\$/ }
+  }).select('_id password');
+
+  for (const user of users) {
+    await User.updateOne({ _id: user._id }, { password: await hashPassword(user.password) });
+  }
+
+  return users.length;
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  verifyUserPassword,
+  migrateLegacyPasswords,
+  isBcryptHash
+};
@@ -0,0 +1,114 @@
+// Storage for staff document and photo files, with pluggable backends.
+//
+// A backend is an object with async put(key, buffer), get(key) returning a
+// readable stream, and remove(key) methods. Keys are generated by the API
+// and look like "<staffId>/<uuid>.<ext>". The "local" backend keeps files
+// under DOCUMENT_STORAGE_DIR; deployments can register their own backend
+// (object storage, a document management system, ...) with
+// registerStorageBackend() and select it with DOCUMENT_STORAGE.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DOCUMENT_SIGNATURES } = require('../config/document-types');
+
+const localRoot = () => path.resolve(process.env.DOCUMENT_STORAGE_DIR || path.join(process.cwd(), 'uploads', 'documents'));
+
+// Resolve a key to a path under the storage directory
+const localPath = (key) => {
+  const root = localRoot();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid document key: ${key}`);
+  }
+  return filePath;
+};
+
+// Keep files on the local filesystem
+const localBackend = {
+  async put(key, buffer) {
+    const filePath = localPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+  },
+  async get(key) {
+    const filePath = localPath(key);
+    // Fail here rather than part-way through a download
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    return fs.createReadStream(filePath);
+  },
+  async remove(key) {
+    await fs.promises.rm(localPath(key), { force: true });
+  }
+};
+
+const backends = {
+  local: localBackend
+};
+
+// Register a backend under a name so DOCUMENT_STORAGE can select it
+const registerStorageBackend = (name, backend) => {
+  if (!backend || ['put', 'get', 'remove'].some(method => typeof backend[method] !== 'function')) {
+    throw new Error('Document storage backend must implement put(key, buffer), get(key) and remove(key)');
+  }
+  backends[name] = backend;
+};
+
+// Name of the backend new documents are stored with
+const currentBackendName = () => process.env.DOCUMENT_STORAGE || 'local';
+
+// Get a backend by name, defaulting to the configured one. Documents record
+// the backend they were stored with, so older files stay readable after the
+// setting changes.
+const getStorageBackend = (name = currentBackendName()) => {
+  const backend = backends[name];
+  if (!backend) {
+    throw new Error(`Unknown document storage backend: ${name}`);
+  }
+  return backend;
+};
+
+// Store a file under a key with the configured backend. Returns where it
+// was stored and its SHA-256 checksum.
+const storeFile = async (key, buffer) => {
+  const storage = currentBackendName();
+  await getStorageBackend(storage).put(key, buffer);
+
+  return {
+    storage,
+    storageKey: key,
+    checksum: crypto.createHash('sha256').update(buffer).digest('hex')
+  };
+};
+
+// Store an uploaded document for a staff member
+const storeDocumentFile = (staffId, { buffer, originalname }) => {
+  const extension = path.extname(originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+  return storeFile(`${staffId}/${crypto.randomUUID()}${extension}`, buffer);
+};
+
+// Whether a file's contents start the way files of its declared type do,
+// so bytes of another kind cannot be stored and served back under it
+const matchesDocumentType = (mimeType, buffer) => {
+  const signatures = DOCUMENT_SIGNATURES[mimeType] || [];
+  return signatures.some(signature => buffer.subarray(0, signature.length / 2).toString('hex') === signature);
+};
+
+// Remove a stored file, given its { storage, storageKey }
+const removeStoredFile = ({ storage, storageKey }) => {
+  return getStorageBackend(storage).remove(storageKey);
+};
+
+// Open a stored file for reading, given its { storage, storageKey }
+const openStoredFile = ({ storage, storageKey }) => {
+  return getStorageBackend(storage).get(storageKey);
+};
+
+module.exports = {
+  registerStorageBackend,
+  getStorageBackend,
+  storeFile,
+  storeDocumentFile,
+  matchesDocumentType,
+  removeStoredFile,
+  openStoredFile
+};
@@ -0,0 +1,363 @@
+// Streaming staff and court exports as CSV, XLSX or a PDF roster grouped
+// by circuit and magisterial court
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const Court = require('../models/Court');
+const Staff = require('../models/Staff');
+
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+const STATUS_LABELS = {
+  active: 'Active',
+  retired: 'Retired',
+  dismissed: 'Dismissed',
+  on_leave: 'On leave'
+};
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+// Name of a populated reference, or '' if it is missing
+const refName = (value) => (value && value.name ? value.name : '');
+
+// Columns that can be exported. Width is relative, used for XLSX column
+// widths and PDF table layout. Columns with a permission are dropped for
+// callers without it.
+const STAFF_COLUMNS = {
+  name: { header: 'Name', width: 24, value: staff => staff.name },
+  position: { header: 'Position', width: 20, value: staff => staff.position },
+  court: { header: 'Court', width: 24, value: staff => refName(staff.courtId) },
+  courtType: { header: 'Court type', width: 12, value: staff => staff.courtType },
+  employmentStatus: {
+    header: 'Status',
+    width: 12,
+    value: staff => STATUS_LABELS[staff.employmentStatus] || staff.employmentStatus
+  },
+  phone: { header: 'Phone', width: 16, value: staff => staff.phone },
+  email: { header: 'Email', width: 26, value: staff => staff.email },
+  nationalId: { header: 'National ID', width: 16, value: staff => staff.nationalId },
+  education: { header: 'Education', width: 18, value: staff => staff.education },
+  department: { header: 'Department', width: 18, value: staff => staff.department },
+  supervisor: { header: 'Supervisor', width: 20, value: staff => staff.supervisor },
+  hireDate: { header: 'Hire date', width: 12, value: staff => formatDate(staff.hireDate) },
+  salary: {
+    header: 'Salary',
+    width: 12,
+    value: staff => staff.salary,
+    permission: 'staff:read:salary'
+  }
+};
+const DEFAULT_STAFF_COLUMNS = ['name', 'position', 'court', 'employmentStatus', 'phone', 'email', 'hireDate'];
+
+const COURT_COLUMNS = {
+  name: { header: 'Name', width: 26, value: court => court.name },
+  type: { header: 'Type', width: 12, value: court => court.type },
+  circuitCourt: { header: 'Circuit court', width: 26, value: court => refName(court.circuitCourtId) },
+  location: { header: 'Location', width: 20, value: court => court.location },
+  phone: { header: 'Phone', width: 16, value: court => court.contactInfo && court.contactInfo.phone },
+  email: { header: 'Email', width: 26, value: court => court.contactInfo && court.contactInfo.email },
+  active: { header: 'Active', width: 8, value: court => (court.isActive ? 'Yes' : 'No') },
+  staffCount: { header: 'Staff', width: 8, value: (court, { staffCounts }) => staffCounts.get(court._id.toString()) || 0 }
+};
+const DEFAULT_COURT_COLUMNS = ['name', 'type', 'circuitCourt', 'location', 'phone', 'email', 'staffCount'];
+
+// Resolve a comma-separated column list (or the defaults) to column
+// definitions, leaving out columns the user is not allowed to see
+const selectColumns = (definitions, requested, defaults, canSee) => {
+  const keys = requested
+    ? String(requested).split(',').map(key => key.trim()).filter(Boolean)
+    : defaults;
+
+  return [...new Set(keys)]
+    .filter(key => definitions[key])
+    .filter(key => !definitions[key].permission || canSee(definitions[key].permission))
+    .map(key => ({ key, ...definitions[key] }));
+};
+
+const cellValue = (value) => (value === null || value === undefined ? '' : value);
+
+// Quote CSV cells where needed, and keep spreadsheet programs from reading
+// text cells as formulas
+const csvCell = (value) => {
+  let text = String(cellValue(value));
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && !/^[+-]?[\d\s()]+$/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const closedError = () => new Error('Export response closed before it was finished');
+
+// Stop an export whose client has gone away
+const checkOpen = (res) => {
+  if (res.destroyed) {
+    throw closedError();
+  }
+};
+
+// Wait for the response to drain if its buffer is full. Fails if the
+// response is closed or fails first.
+const waitForDrain = (res) => new Promise((resolve, reject) => {
+  if (res.destroyed) {
+    reject(closedError());
+    return;
+  }
+  if (!res.writableNeedDrain) {
+    resolve();
+    return;
+  }
+
+  const settle = (error) => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+    res.off('error', settle);
+    if (error) {
+      reject(error);
+    } else {
+      resolve();
+    }
+  };
+  const onDrain = () => settle();
+  const onClose = () => settle(closedError());
+  res.once('drain', onDrain);
+  res.once('close', onClose);
+  res.once('error', settle);
+});
+
+// Write to the response, waiting for it to drain when its buffer is full
+const writeChunk = async (res, chunk) => {
+  checkOpen(res);
+  res.write(chunk);
+  await waitForDrain(res);
+};
+
+// Writers share one interface: heading(text, level) starts a group (only
+// shown in PDF), row(values) adds a row and end() finishes the document.
+const createCsvWriter = async (res, { columns }) => {
+  // Byte order mark so spreadsheet programs read the file as UTF-8
+  await writeChunk(res, `\uFEFF${columns.map(column => csvCell(column.header)).join(',')}\r\n`);
+
+  return {
+    heading: async () => {},
+    row: (values) => writeChunk(res, `${values.map(csvCell).join(',')}\r\n`),
+    end: async () => {
+      res.end();
+    }
+  };
+};
+
+const createXlsxWriter = async (res, { title, columns }) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(title.slice(0, 31));
+  sheet.columns = columns.map(column => ({ header: column.header, key: column.key, width: column.width }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.getRow(1).commit();
+
+  return {
+    heading: async () => {},
+    // Rows are zipped into the response as they are committed
+    row: async (values) => {
+      sheet.addRow(values.map(cellValue)).commit();
+      await waitForDrain(res);
+    },
+    end: async () => {
+      sheet.commit();
+      await workbook.commit();
+    }
+  };
+};
+
+const createPdfWriter = async (res, { title, columns }) => {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 36 });
+  doc.pipe(res);
+
+  const left = doc.page.margins.left;
+  const tableWidth = doc.page.width - left - doc.page.margins.right;
+  const totalWidth = columns.reduce((sum, column) => sum + column.width, 0);
+  const widths = columns.map(column => tableWidth * column.width / totalWidth);
+  const bottom = () => doc.page.height - doc.page.margins.bottom;
+
+  doc.font('Helvetica-Bold').fontSize(16).text(title);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555').text(`Generated ${new Date().toUTCString()}`);
+  doc.fillColor('black').moveDown();
+
+  const drawRow = (values, { header = false } = {}) => {
+    doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    const texts = values.map(value => String(cellValue(value)));
+    const height = Math.max(...texts.map((text, i) => doc.heightOfString(text, { width: widths[i] - 4 }))) + 4;
+
+    // Start a new page, repeating the column headers
+    if (!header && doc.y + height > bottom()) {
+      doc.addPage();
+      drawRow(columns.map(column => column.header), { header: true });
+      doc.font('Helvetica').fontSize(8);
+    }
+
+    const y = doc.y;
+    if (header) {
+      doc.rect(left, y, tableWidth, height).fill('#e8e8e8');
+      doc.fillColor('black');
+    }
+    let x = left;
+    texts.forEach((text, i) => {
+      doc.text(text, x + 2, y + 2, { width: widths[i] - 4 });
+      x += widths[i];
+    });
+    doc.x = left;
+    doc.y = y + height;
+  };
+
+  // Column headers are drawn before the first row under each heading
+  let headerPending = true;
+
+  return {
+    heading: async (text, level) => {
+      // Keep a heading on the same page as its first rows
+      if (doc.y + 60 > bottom()) {
+        doc.addPage();
+      }
+      doc.moveDown(level === 1 ? 1 : 0.5);
+      doc.font('Helvetica-Bold').fontSize(level === 1 ? 13 : 11).text(text, left, doc.y);
+      doc.moveDown(0.25);
+      headerPending = true;
+    },
+    row: async (values) => {
+      if (headerPending) {
+        drawRow(columns.map(column => column.header), { header: true });
+        headerPending = false;
+      }
+      drawRow(values);
+      await waitForDrain(res);
+    },
+    end: () => new Promise((resolve, reject) => {
+      res.once('finish', resolve);
+      res.once('error', reject);
+      res.once('close', () => (res.writableFinished ? resolve() : reject(closedError())));
+      doc.end();
+    })
+  };
+};
+
+const WRITERS = {
+  csv: createCsvWriter,
+  xlsx: createXlsxWriter,
+  pdf: createPdfWriter
+};
+
+// Set the download headers and start a document of the given format
+const startExport = (res, { format, fileName, title, columns }) => {
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}-${formatDate(new Date())}.${format}"`);
+  return WRITERS[format](res, { title, columns });
+};
+
+// Courts in scope, grouped by circuit: each circuit court followed by its
+// magisterial courts. Magisterial courts whose circuit court is out of
+// scope are still grouped under its name.
+const loadCourtGroups = async (courtFilter) => {
+  const courts = await Court.find(courtFilter)
+    .populate('circuitCourtId', 'name')
+    .sort({ name: 1 });
+
+  const groups = new Map();
+  const groupFor = (id, name) => {
+    if (!groups.has(id)) {
+      groups.set(id, { name, circuit: null, courts: [] });
+    }
+    return groups.get(id);
+  };
+
+  courts.forEach(court => {
+    if (court.type === 'circuit') {
+      const group = groupFor(court._id.toString(), court.name);
+      group.name = court.name;
+      group.circuit = court;
+    } else if (court.circuitCourtId) {
+      groupFor(court.circuitCourtId._id.toString(), court.circuitCourtId.name).courts.push(court);
+    } else {
+      groupFor('', 'Unassigned').courts.push(court);
+    }
+  });
+
+  return [...groups.values()]
+    .map(group => ({ name: group.name, courts: group.circuit ? [group.circuit, ...group.courts] : group.courts }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// Stream staff matching the conditions. Spreadsheets follow the requested
+// sort; the PDF roster lists staff by name within each court.
+const exportStaff = async (res, { format, columns, conditions, sort, courtFilter }) => {
+  const writer = await startExport(res, { format, fileName: 'staff', title: 'Staff roster', columns });
+  const writeStaff = async (filter, order) => {
+    const cursor = Staff.find(filter)
+      .populate('courtId', 'name type')
+      .sort(order)
+      .cursor();
+    let count = 0;
+    for await (const staff of cursor) {
+      checkOpen(res);
+      await writer.row(columns.map(column => column.value(staff)));
+      count++;
+    }
+    return count;
+  };
+
+  if (format !== 'pdf') {
+    await writeStaff(conditions.length > 0 ? { $and: conditions } : {}, { [sort.field]: sort.direction, _id: sort.direction });
+    return writer.end();
+  }
+
+  const groups = await loadCourtGroups(courtFilter);
+  for (const group of groups) {
+    const courtIds = group.courts.map(court => court._id);
+    if (await Staff.countDocuments({ $and: [...conditions, { courtId: { $in: courtIds } }] }) === 0) {
+      continue;
+    }
+
+    await writer.heading(group.name, 1);
+    for (const court of group.courts) {
+      const courtConditions = { $and: [...conditions, { courtId: court._id }] };
+      if (await Staff.exists(courtConditions)) {
+        await writer.heading(`${court.name} (${court.type})`, 2);
+        await writeStaff(courtConditions, { name: 1, _id: 1 });
+      }
+    }
+  }
+  return writer.end();
+};
+
+// Stream courts matching the filter. The PDF lists each circuit's courts
+// under its own heading.
+const exportCourts = async (res, { format, columns, courtFilter }) => {
+  const counts = await Staff.aggregate([
+    { $group: { _id: '$courtId', count: { $sum: 1 } } }
+  ]);
+  const context = { staffCounts: new Map(counts.map(({ _id, count }) => [String(_id), count])) };
+
+  const writer = await startExport(res, { format, fileName: 'courts', title: 'Courts', columns });
+  const groups = await loadCourtGroups(courtFilter);
+  for (const group of groups) {
+    await writer.heading(group.name, 1);
+    for (const court of group.courts) {
+      checkOpen(res);
+      await writer.row(columns.map(column => column.value(court, context)));
+    }
+  }
+  return writer.end();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  STAFF_COLUMNS,
+  DEFAULT_STAFF_COLUMNS,
+  COURT_COLUMNS,
+  DEFAULT_COURT_COLUMNS,
+  selectColumns,
+  exportStaff,
+  exportCourts
+};
@@ -0,0 +1,180 @@
+// In-process scheduler for background jobs. Job code is registered with
+// defineJob; schedules, locks and run history are kept in MongoDB so that
+// several server instances can share the work without running a job twice.
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+
+const POLL_SECONDS = parseInt(process.env.JOB_POLL_SECONDS, 10) || 60;
+const LOCK_MINUTES = parseInt(process.env.JOB_LOCK_MINUTES, 10) || 10;
+// Runs extend their lock this often, so a long run keeps it
+const LOCK_RENEW_MS = LOCK_MINUTES * 60 * 1000 / 3;
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+const definitions = new Map();
+let timer = null;
+let ticking = false;
+
+// Register a job. The handler receives { job, since, now } - since is the
+// start of the last successful run - and returns a summary of what it did.
+const defineJob = (name, { description, intervalMinutes, maxRetries = 3, retryDelayMinutes = 5, handler }) => {
+  definitions.set(name, { name, description, intervalMinutes, maxRetries, retryDelayMinutes, handler });
+};
+
+const getDefinition = (name) => definitions.get(name) || null;
+
+// Store every registered job, keeping settings administrators have changed
+const ensureJobs = async () => {
+  for (const definition of definitions.values()) {
+    await Job.updateOne(
+      { name: definition.name },
+      {
+        $set: { description: definition.description },
+        $setOnInsert: {
+          intervalMinutes: definition.intervalMinutes,
+          maxRetries: definition.maxRetries,
+          retryDelayMinutes: definition.retryDelayMinutes,
+          nextRunAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+  }
+};
+
+const minutesFrom = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+// Run a job now unless another run holds its lock. Returns the job run,
+// or null if the job is already running.
+const runJob = async (name, { trigger = 'manual', triggeredBy } = {}) => {
+  const definition = definitions.get(name);
+  if (!definition) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const job = await Job.acquireLock(name, INSTANCE_ID, LOCK_MINUTES);
+  if (!job) {
+    return null;
+  }
+
+  const startedAt = new Date();
+  let run = null;
+  let update = {};
+
+  const heartbeat = setInterval(() => {
+    Job.renewLock(name, INSTANCE_ID, LOCK_MINUTES)
+      .then(held => {
+        if (!held) {
+          console.error(`Job ${name} lost its lock while running`);
+        }
+      })
+      .catch(error => console.error(`Job ${name} lock renewal failed:`, error));
+  }, LOCK_RENEW_MS);
+  heartbeat.unref();
+
+  // The lock is released and the outcome recorded on the job even if
+  // recording the run fails
+  try {
+    run = await JobRun.create({
+      jobName: name,
+      trigger,
+      triggeredBy,
+      attempt: job.failedAttempts + 1,
+      instance: INSTANCE_ID,
+      startedAt
+    });
+
+    try {
+      const result = await definition.handler({ job, since: job.lastSuccessAt, now: startedAt });
+
+      run.status = 'succeeded';
+      run.result = result;
+      update = {
+        lastStatus: 'succeeded',
+        lastSuccessAt: startedAt,
+        lastError: null,
+        failedAttempts: 0,
+        nextRunAt: minutesFrom(startedAt, job.intervalMinutes)
+      };
+      console.log(`Job ${name} succeeded:`, JSON.stringify(result && result.summary ? result.summary : result));
+    } catch (error) {
+      // Retry with a growing delay, then fall back to the regular schedule
+      const failedAttempts = job.failedAttempts + 1;
+      const retry = failedAttempts <= job.maxRetries;
+
+      run.status = 'failed';
+      run.error = String(error.stack || error).slice(0, 2000);
+      update = {
+        lastStatus: 'failed',
+        lastError: String(error.message || error).slice(0, 2000),
+        failedAttempts: retry ? failedAttempts : 0,
+        nextRunAt: retry
+          ? minutesFrom(new Date(), job.retryDelayMinutes * failedAttempts)
+          : minutesFrom(startedAt, job.intervalMinutes)
+      };
+      console.error(`Job ${name} failed (attempt ${failedAttempts}):`, error);
+    }
+
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - startedAt;
+    await run.save();
+  } finally {
+    clearInterval(heartbeat);
+    await Job.updateOne(
+      { name, lockedBy: INSTANCE_ID },
+      { ...update, lastRunAt: startedAt, lockedBy: null, lockedUntil: null }
+    );
+  }
+
+  return run;
+};
+
+// Run every enabled job that is due
+const tick = async () => {
+  if (ticking) {
+    return;
+  }
+  ticking = true;
+
+  try {
+    const dueJobs = await Job.find({
+      name: { $in: [...definitions.keys()] },
+      enabled: true,
+      nextRunAt: { $lte: new Date() }
+    }).sort({ nextRunAt: 1 });
+
+    for (const job of dueJobs) {
+      await runJob(job.name, { trigger: job.failedAttempts > 0 ? 'retry' : 'schedule' });
+    }
+  } catch (error) {
+    console.error('Job scheduler error:', error);
+  } finally {
+    ticking = false;
+  }
+};
+
+// Store the registered jobs and start polling for due ones
+const startScheduler = async () => {
+  await ensureJobs();
+  if (!timer) {
+    timer = setInterval(tick, POLL_SECONDS * 1000);
+    console.log(`Job scheduler started (${definitions.size} job(s), polling every ${POLL_SECONDS}s)`);
+  }
+  tick();
+};
+
+const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  defineJob,
+  getDefinition,
+  runJob,
+  startScheduler,
+  stopScheduler
+};
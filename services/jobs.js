@@ -0,0 +1,114 @@
+// Background jobs that apply date-based changes to staff records
+const Staff = require('../models/Staff');
+const EmploymentEvent = require('../models/EmploymentEvent');
+const Transfer = require('../models/Transfer');
+const SalaryRecord = require('../models/SalaryRecord');
+const { applyLeaveTransitions } = require('./leave-service');
+const { sendExpiryAlerts } = require('./qualification-service');
+const { defineJob } = require('./job-scheduler');
+
+defineJob('employment-status', {
+  description: 'Apply scheduled employment status changes, such as retirements, once they are due',
+  intervalMinutes: 60,
+  handler: async ({ since, now }) => {
+    const staffIds = await EmploymentEvent.getStaffWithEventsDue(since, now);
+    const changes = [];
+
+    for (const staffId of staffIds) {
+      const staff = await Staff.findById(staffId);
+      if (!staff) {
+        continue;
+      }
+
+      const previousStatus = staff.employmentStatus;
+      await staff.syncEmploymentStatus();
+      if (staff.employmentStatus !== previousStatus) {
+        changes.push({ staffId, name: staff.name, from: previousStatus, to: staff.employmentStatus });
+      }
+    }
+
+    return {
+      summary: { checked: staffIds.length, changed: changes.length },
+      changes
+    };
+  }
+});
+
+defineJob('leave-transitions', {
+  description: 'Put staff on leave when approved leave starts and return them to active when it ends',
+  intervalMinutes: 60,
+  handler: async ({ now }) => {
+    const { started, returned, changes } = await applyLeaveTransitions(now);
+    return {
+      summary: { started, returned },
+      changes
+    };
+  }
+});
+
+defineJob('staff-transfers', {
+  description: 'Move staff to their new court when an approved transfer takes effect',
+  intervalMinutes: 60,
+  handler: async ({ now }) => {
+    const transfers = await Transfer.applyDueTransfers(now);
+    const changes = transfers.map(transfer => ({
+      transferId: transfer._id,
+      staffId: transfer.staffId,
+      fromCourtId: transfer.fromCourtId,
+      toCourtId: transfer.toCourtId,
+      status: transfer.status
+    }));
+
+    return {
+      summary: {
+        completed: changes.filter(change => change.status === 'completed').length,
+        cancelled: changes.filter(change => change.status === 'cancelled').length
+      },
+      changes
+    };
+  }
+});
+
+defineJob('salary-changes', {
+  description: 'Apply scheduled salary changes, such as increments, once they are due',
+  intervalMinutes: 60,
+  handler: async ({ since, now }) => {
+    const staffIds = await SalaryRecord.getStaffWithRecordsDue(since, now);
+    const changes = [];
+
+    for (const staffId of staffIds) {
+      const staff = await Staff.findById(staffId);
+      if (!staff) {
+        continue;
+      }
+
+      const previousSalary = staff.salary;
+      await staff.syncSalary();
+      if (staff.salary !== previousSalary) {
+        changes.push({ staffId, name: staff.name, from: previousSalary, to: staff.salary });
+      }
+    }
+
+    return {
+      summary: { checked: staffIds.length, changed: changes.length },
+      changes
+    };
+  }
+});
+
+defineJob('qualification-expiry', {
+  description: 'Email courts about staff certifications and licenses that are about to expire',
+  intervalMinutes: 24 * 60,
+  handler: async ({ now }) => {
+    const alerts = await sendExpiryAlerts(now);
+
+    return {
+      summary: {
+        courts: alerts.length,
+        delivered: alerts.filter(alert => alert.delivered).length,
+        qualifications: alerts.reduce((total, alert) => total + alert.qualifications, 0)
+      },
+      changes: alerts
+    };
+  }
+});
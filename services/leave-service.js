@@ -0,0 +1,216 @@
+// Leave day counting, balances, and the automatic start and end of
+// approved leave
+const Staff = require('../models/Staff');
+const LeaveRequest = require('../models/LeaveRequest');
+const LeaveEntitlement = require('../models/LeaveEntitlement');
+const { LEAVE_TYPES } = require('../config/leave-types');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RECORDED_BY = 'Leave management';
+
+// Midnight UTC of the day containing the given date
+const toDay = (value) => {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+// Working days (Monday to Friday) from start to end, inclusive
+const countLeaveDays = (startDate, endDate) => {
+  let count = 0;
+  for (let day = toDay(startDate).getTime(); day <= toDay(endDate).getTime(); day += DAY_MS) {
+    const weekday = new Date(day).getUTCDay();
+    if (weekday !== 0 && weekday !== 6) {
+      count++;
+    }
+  }
+  return count;
+};
+
+// Entitled, approved, pending and remaining days per leave type for a year
+const getBalances = async (staffId, year) => {
+  const entitlements = await LeaveEntitlement.getEntitlements(staffId, year);
+  const requests = await LeaveRequest.find({
+    staffId,
+    status: { $in: ['pending', 'approved'] },
+    startDate: { $gte: new Date(Date.UTC(year, 0, 1)), $lt: new Date(Date.UTC(year + 1, 0, 1)) }
+  });
+
+  return Object.keys(LEAVE_TYPES).map(leaveType => {
+    const sumDays = (status) => requests
+      .filter(request => request.leaveType === leaveType && request.status === status)
+      .reduce((total, request) => total + request.days, 0);
+    const approved = sumDays('approved');
+    const pending = sumDays('pending');
+
+    return {
+      leaveType,
+      description: LEAVE_TYPES[leaveType].description,
+      entitled: entitlements[leaveType],
+      approved,
+      pending,
+      remaining: entitlements[leaveType] - approved - pending
+    };
+  });
+};
+
+// Put a staff member on leave for an approved request. The start is
+// claimed on the request first, so when the scheduled job and an approval
+// both get to it the leave is recorded once. Returns whether this call
+// started it.
+const startLeave = async (request, staff, now) => {
+  const claimed = await LeaveRequest.updateOne(
+    { _id: request._id, startedAt: null },
+    { $set: { startedAt: now } }
+  );
+  request.startedAt = request.startedAt || now;
+  if (claimed.modifiedCount === 0) {
+    return false;
+  }
+
+  if (['active', 'on_leave'].includes(staff.employmentStatus)) {
+    await staff.updateEmploymentStatus('on_leave', request.startDate, {
+      expectedEndDate: request.endDate,
+      reason: LEAVE_TYPES[request.leaveType].description,
+      notes: request.reason,
+      recordedByName: RECORDED_BY
+    });
+  }
+  return true;
+};
+
+// Whether approved leave is under way on the given day
+const isLeaveDay = (request, today) => request.startDate <= today && request.endDate >= today;
+
+// Start a newly approved request's leave if it has already begun. Leave
+// that is already over is left to the scheduled job, which records both
+// its start and end. Returns whether the leave was started.
+const startApprovedLeave = async (request, now = new Date()) => {
+  if (request.status !== 'approved' || request.startedAt || !isLeaveDay(request, toDay(now))) {
+    return false;
+  }
+  const staff = await Staff.findById(request.staffId);
+  return !!staff && startLeave(request, staff, now);
+};
+
+// Return a staff member to active after leave, unless their status has
+// changed to something else in the meantime
+const returnFromLeave = async (request, staff, now, { returnDate, reason = 'Returned from leave' } = {}) => {
+  if (staff.employmentStatus === 'on_leave') {
+    await staff.updateEmploymentStatus('active', returnDate, {
+      reason,
+      recordedByName: RECORDED_BY
+    });
+  }
+  request.returnedAt = now;
+};
+
+// Start approved leave that has begun and end leave that is over, whether
+// it was requested or recorded directly with an expected end date.
+// Returns the number of staff members put on leave and returned, and
+// the changes made.
+const applyLeaveTransitions = async (now = new Date()) => {
+  const today = toDay(now);
+  let started = 0;
+  let returned = 0;
+  const changes = [];
+
+  // Returns first, so back-to-back leave ends up on leave
+  const ended = await LeaveRequest.find({
+    status: 'approved',
+    returnedAt: null,
+    endDate: { $lt: today }
+  }).sort({ endDate: 1 });
+
+  for (const request of ended) {
+    const staff = await Staff.findById(request.staffId);
+    if (staff) {
+      // Leave approved after it was over still goes into the history
+      if (!request.startedAt) {
+        await startLeave(request, staff, now);
+      }
+      await returnFromLeave(request, staff, now, {
+        returnDate: new Date(request.endDate.getTime() + DAY_MS)
+      });
+      returned++;
+      changes.push({ action: 'returned', staffId: staff._id, name: staff.name, leaveRequestId: request._id });
+    } else {
+      request.returnedAt = now;
+    }
+    await request.save();
+  }
+
+  // Leave recorded straight on the employment history, without a request,
+  // ends on its expected end date
+  const overdue = await Staff.find({ employmentStatus: 'on_leave', leaveEndDate: { $lte: now } });
+  for (const staff of overdue) {
+    const onRequestedLeave = await LeaveRequest.exists({
+      staffId: staff._id,
+      status: 'approved',
+      startedAt: { $ne: null },
+      returnedAt: null
+    });
+    if (onRequestedLeave) {
+      continue;
+    }
+    await staff.updateEmploymentStatus('active', staff.leaveEndDate, {
+      reason: 'Returned from leave',
+      recordedByName: RECORDED_BY
+    });
+    returned++;
+    changes.push({ action: 'returned', staffId: staff._id, name: staff.name });
+  }
+
+  const begun = await LeaveRequest.find({
+    status: 'approved',
+    startedAt: null,
+    startDate: { $lte: today },
+    endDate: { $gte: today }
+  }).sort({ startDate: 1 });
+
+  for (const request of begun) {
+    const staff = await Staff.findById(request.staffId);
+    if (staff && await startLeave(request, staff, now)) {
+      started++;
+      changes.push({ action: 'started', staffId: staff._id, name: staff.name, leaveRequestId: request._id });
+    }
+    request.startedAt = request.startedAt || now;
+    await request.save();
+  }
+
+  return { started, returned, changes };
+};
+
+// Cancel a leave request. Leave already being taken is cut short at today
+// instead, so the days taken still count against the balance.
+const cancelLeave = async (request, { decidedBy, decidedByName, notes } = {}) => {
+  const now = new Date();
+
+  if (request.isInProgress()) {
+    const staff = await Staff.findById(request.staffId);
+    request.endDate = toDay(now);
+    request.days = countLeaveDays(request.startDate, request.endDate);
+    request.decisionNotes = notes;
+    if (staff) {
+      await returnFromLeave(request, staff, now, { returnDate: now, reason: 'Returned early from leave' });
+    } else {
+      request.returnedAt = now;
+    }
+  } else {
+    request.status = 'cancelled';
+    request.decidedBy = decidedBy;
+    request.decidedByName = decidedByName;
+    request.decidedAt = now;
+    request.decisionNotes = notes;
+  }
+
+  return request.save();
+};
+
+module.exports = {
+  toDay,
+  countLeaveDays,
+  getBalances,
+  applyLeaveTransitions,
+  startApprovedLeave,
+  cancelLeave
+};
@@ -0,0 +1,74 @@
+// In-memory throttle for login attempts, keyed by client IP and username.
+// It applies the same way whether or not the username exists, so callers
+// cannot use it to discover accounts. Two-factor codes and password reset
+// requests are throttled with it too, under keys of their own.
+const WINDOW_MS = (parseInt(process.env.LOGIN_THROTTLE_WINDOW_MINUTES, 10) || 15) * 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_THROTTLE_MAX_ATTEMPTS, 10) || 10;
+const FREE_ATTEMPTS = 2;
+const BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 8000;
+
+const attempts = new Map();
+
+const getKey = (ip, username) => {
+  return `${ip}|${String(username || '').toLowerCase()}`;
+};
+
+// Get the failure record for a key, dropping it once its window has passed
+const getEntry = (key) => {
+  const entry = attempts.get(key);
+  if (entry && Date.now() - entry.firstFailureAt > WINDOW_MS) {
+    attempts.delete(key);
+    return null;
+  }
+  return entry;
+};
+
+// Seconds until the key may try again, or 0 if it is not blocked
+const getRetryAfter = (key) => {
+  const entry = getEntry(key);
+  if (!entry || entry.count < MAX_ATTEMPTS) {
+    return 0;
+  }
+  return Math.ceil((entry.firstFailureAt + WINDOW_MS - Date.now()) / 1000);
+};
+
+// Delay that grows with each recent failure
+const getDelay = (key) => {
+  const entry = getEntry(key);
+  if (!entry || entry.count < FREE_ATTEMPTS) {
+    return 0;
+  }
+  return Math.min(BASE_DELAY_MS * 2 ** (entry.count - FREE_ATTEMPTS), MAX_DELAY_MS);
+};
+
+const wait = (key) => {
+  const delay = getDelay(key);
+  return new Promise(resolve => setTimeout(resolve, delay));
+};
+
+const recordFailure = (key) => {
+  const entry = getEntry(key);
+  if (entry) {
+    entry.count += 1;
+  } else {
+    attempts.set(key, { count: 1, firstFailureAt: Date.now() });
+  }
+};
+
+const reset = (key) => {
+  attempts.delete(key);
+};
+
+// Periodically drop expired entries so the map does not grow without bound
+setInterval(() => {
+  attempts.forEach((entry, key) => getEntry(key));
+}, WINDOW_MS).unref();
+
+module.exports = {
+  getKey,
+  getRetryAfter,
+  wait,
+  recordFailure,
+  reset
+};
@@ -0,0 +1,90 @@
+// Outgoing mail with pluggable transports.
+//
+// A transport is an object with an async send(message) method, where message
+// is { to, subject, text, html }. The "console" and "file" transports are
+// development stand-ins; production deployments register their own transport
+// (SMTP, a mail API, ...) with registerTransport() and select it with
+// MAIL_TRANSPORT. Outside production the console transport is the default;
+// in production nothing is sent until a transport is selected, since the
+// stand-ins would write one-time links into server logs and files.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@judiciary.local';
+
+// Print messages to the server log
+const consoleTransport = {
+  async send(message) {
+    console.log('--- Outgoing mail ---');
+    console.log(`From: ${message.from}`);
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('---------------------');
+    return { delivered: false, transport: 'console' };
+  }
+};
+
+// Write each message to a JSON file in MAIL_OUTPUT_DIR
+const fileTransport = {
+  async send(message) {
+    const outputDir = process.env.MAIL_OUTPUT_DIR || path.join(os.tmpdir(), 'judiciary-mail');
+    await fs.promises.mkdir(outputDir, { recursive: true });
+
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+    const filePath = path.join(outputDir, fileName);
+    await fs.promises.writeFile(filePath, JSON.stringify({
+      ...message,
+      date: new Date().toISOString()
+    }, null, 2));
+
+    return { delivered: false, transport: 'file', filePath };
+  }
+};
+
+const transports = {
+  console: consoleTransport,
+  file: fileTransport
+};
+
+// Register a transport under a name so MAIL_TRANSPORT can select it
+const registerTransport = (name, transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  transports[name] = transport;
+};
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console');
+  if (!name) {
+    throw new Error('No mail transport configured; set MAIL_TRANSPORT');
+  }
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transport;
+};
+
+// Send a message through the configured transport
+const sendMail = async ({ to, subject, text, html }) => {
+  if (!to) {
+    throw new Error('Mail recipient is required');
+  }
+
+  return getTransport().send({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+module.exports = {
+  sendMail,
+  registerTransport
+};
@@ -0,0 +1,121 @@
+// Password policy checks: composition rules, blocklist, reuse and expiry
+const COMMON_PASSWORDS = require('../config/common-passwords');
+const { verifyPassword, isBcryptHash } = require('./credential-service');
+
+const commonPasswords = new Set(COMMON_PASSWORDS);
+
+// Check composition rules and the blocklists. Returns a list of violations,
+// each with a machine-readable code and a message.
+const checkPasswordRules = (password, policy, user = null) => {
+  const violations = [];
+  const value = String(password || '');
+  const lowered = value.toLowerCase();
+
+  if (value.length < policy.minLength) {
+    violations.push({
+      code: 'too_short',
+      message: `Password must be at least ${policy.minLength} characters long`
+    });
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(value)) {
+    violations.push({
+      code: 'missing_uppercase',
+      message: 'Password must contain an uppercase letter'
+    });
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(value)) {
+    violations.push({
+      code: 'missing_lowercase',
+      message: 'Password must contain a lowercase letter'
+    });
+  }
+  if (policy.requireNumber && !/[0-9]/.test(value)) {
+    violations.push({
+      code: 'missing_number',
+      message: 'Password must contain a number'
+    });
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(value)) {
+    violations.push({
+      code: 'missing_symbol',
+      message: 'Password must contain a symbol'
+    });
+  }
+  if ((policy.blockCommonPasswords && commonPasswords.has(lowered)) ||
+      (policy.blockedPasswords || []).includes(lowered)) {
+    violations.push({
+      code: 'common_password',
+      message: 'Password is too common'
+    });
+  }
+  if (user && user.username && lowered.includes(user.username.toLowerCase())) {
+    violations.push({
+      code: 'contains_username',
+      message: 'Password must not contain the username'
+    });
+  }
+
+  return violations;
+};
+
+// Check whether the password matches the current password or one of the
+// recent ones covered by the policy
+const isReusedPassword = async (password, user, historyCount) => {
+  if (!user || historyCount <= 0) {
+    return false;
+  }
+
+  const recentHashes = [user.password, ...(user.passwordHistory || [])]
+    .filter(isBcryptHash)
+    .slice(0, historyCount);
+
+  for (const hash of recentHashes) {
+    if ((await verifyPassword(password, hash)).valid) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Validate a new password against the policy, including reuse for an
+// existing user. Returns a list of violations (empty when acceptable).
+const validatePassword = async (password, policy, user = null) => {
+  const violations = checkPasswordRules(password, policy, user);
+
+  if (await isReusedPassword(password, user, policy.historyCount)) {
+    violations.push({
+      code: 'password_reused',
+      message: `Password must not match any of your last ${policy.historyCount} passwords`
+    });
+  }
+
+  return violations;
+};
+
+// Check if a user's password is older than the policy allows
+const isPasswordExpired = (user, policy) => {
+  if (!policy.maxAgeDays) {
+    return false;
+  }
+
+  const changedAt = user.passwordChangedAt || user.createdAt;
+  if (!changedAt) {
+    return false;
+  }
+  return Date.now() - changedAt.getTime() > policy.maxAgeDays * 24 * 60 * 60 * 1000;
+};
+
+// Send the standard response for a rejected password
+const sendPolicyViolations = (res, violations) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Password does not meet the password policy',
+    errors: violations
+  });
+};
+
+module.exports = {
+  validatePassword,
+  isPasswordExpired,
+  sendPolicyViolations
+};
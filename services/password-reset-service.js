@@ -0,0 +1,97 @@
+// One-time password reset tokens
+const crypto = require('crypto');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const { sendMail } = require('./mail-service');
+
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const RESET_URL = process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password';
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const buildResetUrl = (token) => {
+  const separator = RESET_URL.includes('?') ? '&' : '?';
+  return `${RESET_URL}${separator}token=${encodeURIComponent(token)}`;
+};
+
+// Create a reset token for a user, invalidating any earlier ones.
+// Only the hash is stored; the plain token is returned once.
+const createResetToken = async (user, { requestedBy, req } = {}) => {
+  await PasswordResetToken.invalidateForUser(user._id);
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await PasswordResetToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+    requestedBy,
+    ipAddress: req ? req.ip : undefined
+  });
+
+  return token;
+};
+
+// Email a reset link to the user
+const sendResetEmail = (user, token, { forced = false } = {}) => {
+  const resetUrl = buildResetUrl(token);
+  const intro = forced
+    ? 'An administrator has required you to reset your password.'
+    : 'We received a request to reset your password.';
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your Judiciary Staff Management password',
+    text: [
+      `Hello ${user.name},`,
+      '',
+      intro,
+      `Use the link below within ${RESET_TOKEN_TTL_MINUTES} minutes to choose a new password:`,
+      '',
+      resetUrl,
+      '',
+      'The link can only be used once. If you did not request this, you can ignore this email.'
+    ].join('\n')
+  });
+};
+
+// Look up a usable reset token without using it up.
+// Returns the token record, or null if it is unknown, used or expired.
+const findUsableResetToken = async (token) => {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+
+  return PasswordResetToken.findOne({
+    tokenHash: hashToken(token),
+    usedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Look up a usable reset token and mark it as used.
+// Returns the token record, or null if it is unknown, used or expired.
+const consumeResetToken = async (token) => {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+
+  // Claim the token atomically so it cannot be used twice concurrently
+  return PasswordResetToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+module.exports = {
+  createResetToken,
+  sendResetEmail,
+  findUsableResetToken,
+  consumeResetToken,
+  buildResetUrl
+};
@@ -0,0 +1,34 @@
+// Role lookups and permission checks
+const Role = require('../models/Role');
+
+// Roles are read on every request, so keep them briefly in memory
+const CACHE_TTL_MS = 30 * 1000;
+const roleCache = new Map();
+
+// Get a role by name, or null if it does not exist
+const getRole = async (name) => {
+  const cached = roleCache.get(name);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.role;
+  }
+
+  const role = await Role.findByName(name).lean();
+  roleCache.set(name, { role, expiresAt: Date.now() + CACHE_TTL_MS });
+  return role;
+};
+
+// Drop cached roles after they are edited
+const clearRoleCache = () => {
+  roleCache.clear();
+};
+
+// Check if an authenticated user has been granted an action
+const hasPermission = (user, action) => {
+  return !!user && Array.isArray(user.permissions) && user.permissions.includes(action);
+};
+
+module.exports = {
+  getRole,
+  clearRoleCache,
+  hasPermission
+};
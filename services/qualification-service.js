@@ -0,0 +1,112 @@
+// Expiring staff qualifications, and the alerts sent to courts about them
+const Staff = require('../models/Staff');
+const Court = require('../models/Court');
+const StaffQualification = require('../models/StaffQualification');
+const { sendMail } = require('./mail-service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How many days ahead courts are alerted about expiring qualifications
+const EXPIRY_ALERT_DAYS = parseInt(process.env.QUALIFICATION_ALERT_DAYS, 10) || 30;
+// Staff whose qualifications still matter
+const CURRENT_STATUSES = ['active', 'on_leave'];
+
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+// Get the qualifications of current staff in the given courts that expire
+// within a number of days, soonest first. With includeExpired set, those
+// that have already expired are included too.
+const findExpiring = async (courtIds, { days = EXPIRY_ALERT_DAYS, includeExpired = false, asOf = new Date() } = {}) => {
+  const staffIds = await Staff.distinct('_id', {
+    courtId: { $in: courtIds },
+    employmentStatus: { $in: CURRENT_STATUSES }
+  });
+
+  const expiryDate = { $lte: new Date(asOf.getTime() + days * DAY_MS) };
+  if (!includeExpired) {
+    expiryDate.$gte = asOf;
+  }
+
+  return StaffQualification.find({ staffId: { $in: staffIds }, expiryDate })
+    .populate('staffId', 'name position courtId')
+    .sort({ expiryDate: 1, _id: 1 });
+};
+
+// Email each court's contact address about its staff's qualifications
+// that have come within the alert period. Each qualification is alerted
+// once; courts without an email address are alerted once they have one.
+// Qualifications are only marked as alerted when the mail is delivered,
+// so the development transports, which report it undelivered, and failed
+// sends leave them to be alerted on the next run.
+// Returns the courts alerted, how many qualifications each was told of
+// and whether the mail was delivered.
+const sendExpiryAlerts = async (now = new Date()) => {
+  const due = await StaffQualification.find({
+    expiryDate: { $gte: now, $lte: new Date(now.getTime() + EXPIRY_ALERT_DAYS * DAY_MS) },
+    expiryAlertSentAt: null
+  })
+    .populate('staffId', 'name position courtId employmentStatus')
+    .sort({ expiryDate: 1 });
+
+  // Trashed staff are not populated
+  const byCourt = new Map();
+  due.forEach(qualification => {
+    const staff = qualification.staffId;
+    if (!staff || !CURRENT_STATUSES.includes(staff.employmentStatus)) {
+      return;
+    }
+    const courtId = staff.courtId.toString();
+    if (!byCourt.has(courtId)) {
+      byCourt.set(courtId, []);
+    }
+    byCourt.get(courtId).push(qualification);
+  });
+
+  const courts = await Court.find({ _id: { $in: [...byCourt.keys()] } });
+  const alerts = [];
+  for (const court of courts) {
+    const email = court.contactInfo && court.contactInfo.email;
+    if (!email) {
+      continue;
+    }
+
+    const qualifications = byCourt.get(court._id.toString());
+    let result;
+    try {
+      result = await sendMail({
+        to: email,
+        subject: `Staff qualifications expiring at ${court.name}`,
+        text: [
+          `The following staff qualifications at ${court.name} expire within ${EXPIRY_ALERT_DAYS} days:`,
+          '',
+          ...qualifications.map(qualification => {
+            const number = qualification.certificateNumber ? ` (${qualification.certificateNumber})` : '';
+            return `- ${qualification.staffId.name}, ${qualification.staffId.position}: ${qualification.title}${number}, expires ${formatDate(qualification.expiryDate)}`;
+          }),
+          '',
+          'Please arrange renewals and record the new expiry dates.'
+        ].join('\n')
+      });
+    } catch (error) {
+      console.error(`Qualification expiry alert to ${court.name} failed:`, error);
+      continue;
+    }
+
+    // Transports that do not report on delivery are taken to have delivered
+    const delivered = !result || result.delivered !== false;
+    if (delivered) {
+      await StaffQualification.updateMany(
+        { _id: { $in: qualifications.map(qualification => qualification._id) } },
+        { $set: { expiryAlertSentAt: now } }
+      );
+    }
+    alerts.push({ courtId: court._id, name: court.name, qualifications: qualifications.length, delivered });
+  }
+
+  return alerts;
+};
+
+module.exports = {
+  EXPIRY_ALERT_DAYS,
+  findExpiring,
+  sendExpiryAlerts
+};
@@ -0,0 +1,163 @@
+// Salary changes taken from pay scales, and scale-wide increments
+const mongoose = require('mongoose');
+const Staff = require('../models/Staff');
+const Position = require('../models/Position');
+const PayScale = require('../models/PayScale');
+const SalaryRecord = require('../models/SalaryRecord');
+
+// Staff who receive increments
+const INCREMENT_STATUSES = ['active', 'on_leave'];
+const INCREMENT_METHODS = ['percentage', 'amount', 'step'];
+
+class SalaryError extends Error {}
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Get the pay scale point for a staff member at a step, from their
+// position's scale and grade. Returns the salary record fields.
+const resolveScalePoint = async (staff, step) => {
+  const position = staff.positionId ? await Position.findById(staff.positionId) : null;
+  const scale = position && position.payScaleId ? await PayScale.findById(position.payScaleId) : null;
+  if (!scale || !scale.isActive) {
+    throw new SalaryError('The staff member\'s position is not on an active pay scale');
+  }
+
+  const amount = scale.getAmount(position.grade, step);
+  if (amount === null) {
+    throw new SalaryError(`Pay scale ${scale.code} has no step ${step} for grade ${position.grade || '(none)'}`);
+  }
+
+  return { amount, currency: scale.currency, payScaleId: scale._id, grade: position.grade, step };
+};
+
+// Work out a staff member's salary after an increment. Returns the salary
+// record fields, or { skipped } with the reason it does not apply.
+const incrementFor = (scale, grade, current, { method, value }) => {
+  if (method === 'step') {
+    if (!current || !current.step) {
+      return { skipped: 'Salary is not on a scale step' };
+    }
+    const step = current.step + value;
+    const amount = scale.getAmount(grade, step);
+    if (amount === null) {
+      return { skipped: 'Already at the top of the grade' };
+    }
+    return { amount, step };
+  }
+
+  if (!current) {
+    return { skipped: 'No salary recorded' };
+  }
+  if (current.currency !== scale.currency) {
+    return { skipped: `Salary is paid in ${current.currency}` };
+  }
+  const amount = method === 'percentage'
+    ? roundAmount(current.amount * (1 + value / 100))
+    : roundAmount(current.amount + value);
+  return { amount: Math.max(amount, 0), step: current.step };
+};
+
+// Apply an increment to the staff on positions paid on a scale, optionally
+// only in some courts. By percentage or amount, every salary is raised
+// and, when no courts are given, the scale itself too, so later
+// appointments follow; such increments cannot be dated in the future. By
+// step, staff move up that many steps within their grade. With dryRun set
+// nothing is saved.
+// An increment with the same scale, date and reason as an earlier one is
+// taken to be a retry of it: staff it already raised are skipped, and the
+// scale is not raised twice.
+// Returns the increment ID and the staff changed and skipped.
+const applyIncrement = async (scale, {
+  method,
+  value,
+  courtIds = null,
+  effectiveDate = new Date(),
+  reason,
+  approvalReference,
+  approvedBy,
+  approvedByName,
+  dryRun = false
+}) => {
+  const scaleUpdated = !courtIds && method !== 'step';
+  if (scaleUpdated && effectiveDate > new Date()) {
+    throw new SalaryError('Increments to the whole pay scale cannot be dated in the future; apply them once they take effect');
+  }
+
+  const previous = await SalaryRecord.findOne({
+    payScaleId: scale._id,
+    effectiveDate,
+    reason,
+    incrementId: { $ne: null }
+  }).select('incrementId');
+  const incrementId = previous ? previous.incrementId : new mongoose.Types.ObjectId();
+  const alreadyRaised = new Set(previous
+    ? (await SalaryRecord.distinct('staffId', { incrementId })).map(String)
+    : []);
+
+  const positions = await Position.find({ payScaleId: scale._id });
+  const gradeByPosition = new Map(positions.map(position => [position._id.toString(), position.grade]));
+
+  const conditions = {
+    positionId: { $in: positions.map(position => position._id) },
+    employmentStatus: { $in: INCREMENT_STATUSES }
+  };
+  if (courtIds) {
+    conditions.courtId = { $in: courtIds.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+  const staffMembers = await Staff.find(conditions).sort({ name: 1 });
+
+  const applied = [];
+  const skipped = [];
+
+  for (const staff of staffMembers) {
+    if (alreadyRaised.has(staff._id.toString())) {
+      skipped.push({ staffId: staff._id, name: staff.name, reason: 'Increment already applied' });
+      continue;
+    }
+
+    const grade = gradeByPosition.get(staff.positionId.toString());
+    const current = await SalaryRecord.getCurrent(staff._id, effectiveDate);
+    const result = incrementFor(scale, grade, current, { method, value });
+    if (result.skipped) {
+      skipped.push({ staffId: staff._id, name: staff.name, reason: result.skipped });
+      continue;
+    }
+
+    applied.push({ staffId: staff._id, name: staff.name, from: current.amount, to: result.amount });
+    if (!dryRun) {
+      await staff.updateSalary({
+        amount: result.amount,
+        currency: scale.currency,
+        effectiveDate,
+        reason,
+        payScaleId: scale._id,
+        grade,
+        step: result.step,
+        incrementId,
+        approvalReference,
+        approvedBy,
+        approvedByName
+      });
+    }
+  }
+
+  const scaleRaised = scale.lastIncrementId && scale.lastIncrementId.equals(incrementId);
+  if (scaleUpdated && !scaleRaised && !dryRun) {
+    scale.lastIncrementId = incrementId;
+    scale.grades.forEach(entry => {
+      entry.steps = entry.steps.map(amount => Math.max(method === 'percentage'
+        ? roundAmount(amount * (1 + value / 100))
+        : roundAmount(amount + value), 0));
+    });
+    await scale.save();
+  }
+
+  return { incrementId: dryRun ? null : incrementId, scaleUpdated: scaleUpdated && !scaleRaised, applied, skipped };
+};
+
+module.exports = {
+  INCREMENT_METHODS,
+  SalaryError,
+  resolveScalePoint,
+  applyIncrement
+};
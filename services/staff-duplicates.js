@@ -0,0 +1,320 @@
+// Duplicate staff detection, scoring records by name similarity and shared
+// email, phone and national ID, and merging duplicates into one record
+const Staff = require('../models/Staff');
+const EmploymentEvent = require('../models/EmploymentEvent');
+const SalaryRecord = require('../models/SalaryRecord');
+const Transfer = require('../models/Transfer');
+const LeaveRequest = require('../models/LeaveRequest');
+const LeaveEntitlement = require('../models/LeaveEntitlement');
+const StaffDocument = require('../models/StaffDocument');
+const StaffQualification = require('../models/StaffQualification');
+const { similarity, phonePattern } = require('./staff-search');
+
+// How much each kind of match counts towards the score, which is capped at 1
+const MATCH_WEIGHTS = {
+  name: 0.5,
+  nationalId: 0.6,
+  email: 0.3,
+  phone: 0.2
+};
+// Score from which records are reported as possible duplicates
+const DUPLICATE_THRESHOLD = parseFloat(process.env.DUPLICATE_THRESHOLD) || 0.5;
+// Names less similar than this do not count as matching
+const MIN_NAME_SIMILARITY = 0.6;
+const CANDIDATE_LIMIT = 200;
+// Keys shared by more records than this, such as common surnames or a
+// court's switchboard number, say little about duplicates and are not
+// compared on, which keeps matching close to linear in the number of records
+const MAX_BUCKET_SIZE = parseInt(process.env.DUPLICATE_BUCKET_SIZE, 10) || 50;
+// Phone numbers are compared on their last digits, so country and trunk
+// prefixes are ignored
+const PHONE_DIGITS = 9;
+const MIN_PHONE_DIGITS = 7;
+
+// Details copied from a duplicate when the record kept has none
+const MERGE_FIELDS = [
+  'phone',
+  'email',
+  'nationalId',
+  'education',
+  'department',
+  'supervisor',
+  'notes',
+  'emergencyContact.name',
+  'emergencyContact.relationship',
+  'emergencyContact.phone',
+  'address.street',
+  'address.city',
+  'address.state',
+  'address.zipCode'
+];
+
+class MergeError extends Error {}
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words of a name in comparable form: accents, case, punctuation, initials
+// and word order are ignored
+const nameWords = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 1)
+  .sort();
+
+const emailKey = (email) => String(email || '').trim().toLowerCase() || null;
+
+const phoneKey = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= MIN_PHONE_DIGITS ? digits.slice(-PHONE_DIGITS) : null;
+};
+
+const nationalIdKey = (nationalId) => String(nationalId || '').toUpperCase().replace(/[^A-Z0-9]/g, '') || null;
+
+const KEYS = {
+  email: emailKey,
+  phone: phoneKey,
+  nationalId: nationalIdKey
+};
+
+// Score how likely two staff records are the same person, from 0 to 1.
+// Returns the score and the fields that matched.
+const scoreMatch = (a, b) => {
+  let score = 0;
+  const matchedOn = [];
+
+  const nameA = nameWords(a.name).join(' ');
+  const nameB = nameWords(b.name).join(' ');
+  if (nameA && nameB) {
+    const nameScore = nameA === nameB ? 1 : similarity(nameA, nameB);
+    if (nameScore >= MIN_NAME_SIMILARITY) {
+      score += nameScore * MATCH_WEIGHTS.name;
+      matchedOn.push('name');
+    }
+  }
+
+  Object.keys(KEYS).forEach(field => {
+    const keyA = KEYS[field](a[field]);
+    const keyB = KEYS[field](b[field]);
+    if (keyA && keyA === keyB) {
+      score += MATCH_WEIGHTS[field];
+      matchedOn.push(field);
+    }
+  });
+
+  // Different national IDs mean different people, barring a typo
+  const idA = nationalIdKey(a.nationalId);
+  const idB = nationalIdKey(b.nationalId);
+  if (idA && idB && idA !== idB) {
+    score -= MATCH_WEIGHTS.nationalId;
+  }
+
+  return {
+    score: Math.round(Math.min(Math.max(score, 0), 1) * 1000) / 1000,
+    matchedOn
+  };
+};
+
+// Keys a record shares with any record it could be a duplicate of
+const matchKeys = (record) => {
+  const keys = nameWords(record.name)
+    .filter(word => word.length >= 3)
+    .map(word => `name:${word}`);
+  Object.keys(KEYS).forEach(field => {
+    const key = KEYS[field](record[field]);
+    if (key) {
+      keys.push(`${field}:${key}`);
+    }
+  });
+  return keys;
+};
+
+// Matcher for duplicates within a set of records, such as the rows of an
+// import, that only compares records sharing a name word or contact detail
+// that is not too common
+const createMatcher = () => {
+  const buckets = new Map();
+  const common = new Set();
+
+  return {
+    // Possible duplicates of a record among those added, best first
+    find(record) {
+      const compared = new Set();
+      const matches = [];
+      matchKeys(record).forEach(key => {
+        if (common.has(key)) {
+          return;
+        }
+        (buckets.get(key) || []).forEach(entry => {
+          if (compared.has(entry)) {
+            return;
+          }
+          compared.add(entry);
+          const match = scoreMatch(record, entry.record);
+          if (match.score >= DUPLICATE_THRESHOLD) {
+            matches.push({ value: entry.value, ...match });
+          }
+        });
+      });
+      return matches.sort((a, b) => b.score - a.score);
+    },
+
+    // Add a record, with the value find() returns for it
+    add(record, value = record) {
+      const entry = { record, value };
+      new Set(matchKeys(record)).forEach(key => {
+        if (common.has(key)) {
+          return;
+        }
+        if (!buckets.has(key)) {
+          buckets.set(key, []);
+        }
+        const bucket = buckets.get(key);
+        bucket.push(entry);
+        if (bucket.length > MAX_BUCKET_SIZE) {
+          common.add(key);
+          buckets.delete(key);
+        }
+      });
+    }
+  };
+};
+
+// Find existing staff who may be the same person as the given details,
+// best first. Trashed records are not considered.
+const findDuplicates = async (data, { excludeIds = [] } = {}) => {
+  const conditions = nameWords(data.name)
+    .filter(word => word.length >= 3)
+    .map(word => ({ name: new RegExp(`(^|[^a-z])${escapeRegex(word)}`, 'i') }));
+
+  const email = emailKey(data.email);
+  if (email) {
+    conditions.push({ email });
+  }
+  const phone = phoneKey(data.phone);
+  if (phone) {
+    conditions.push({ phone: new RegExp(`${phonePattern(phone.slice(-MIN_PHONE_DIGITS))}\\D*$`) });
+  }
+  const nationalId = nationalIdKey(data.nationalId);
+  if (nationalId) {
+    conditions.push({ nationalId: new RegExp(`^[^A-Z0-9]*${nationalId.split('').join('[^A-Z0-9]*')}[^A-Z0-9]*$`, 'i') });
+  }
+
+  if (conditions.length === 0) {
+    return [];
+  }
+
+  const candidates = await Staff.find({ _id: { $nin: excludeIds }, $or: conditions })
+    .select('name position email phone nationalId courtId courtType employmentStatus createdAt')
+    .populate('courtId', 'name type')
+    .limit(CANDIDATE_LIMIT);
+
+  return candidates
+    .map(staff => ({ staff, ...scoreMatch(data, staff) }))
+    .filter(match => match.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+};
+
+// Find pairs of suspected duplicates among the staff matching a filter,
+// best first. The older record of each pair is given first.
+const findDuplicatePairs = async (filter = {}) => {
+  const staffMembers = await Staff.find(filter)
+    .select('name position email phone nationalId courtId courtType employmentStatus createdAt')
+    .populate('courtId', 'name type')
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+
+  const matcher = createMatcher();
+  const pairs = [];
+  staffMembers.forEach(staff => {
+    matcher.find(staff).forEach(({ value, score, matchedOn }) => {
+      pairs.push({ staff: value, duplicate: staff, score, matchedOn });
+    });
+    matcher.add(staff);
+  });
+
+  return pairs.sort((a, b) => b.score - a.score);
+};
+
+// Summary of a possible duplicate, leaving out contact details
+const summarizeDuplicate = (staff) => ({
+  _id: staff._id,
+  name: staff.name,
+  position: staff.position,
+  court: staff.courtId && staff.courtId.name
+    ? { _id: staff.courtId._id, name: staff.courtId.name, type: staff.courtId.type }
+    : staff.courtId,
+  employmentStatus: staff.employmentStatus,
+  createdAt: staff.createdAt
+});
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Merge a duplicate into the staff record kept. Details the kept record
+// lacks are copied over, the duplicate's history, leave, transfers,
+// documents, qualifications and salary records are moved to it, and the
+// duplicate goes to the trash. Returns the fields filled in and the number of items moved.
+const mergeStaff = async (staff, duplicate, { mergedBy, mergedByName } = {}) => {
+  if (staff._id.equals(duplicate._id)) {
+    throw new MergeError('A staff member cannot be merged with themselves');
+  }
+  if (await Transfer.findOpenForStaff(duplicate._id)) {
+    throw new MergeError('The duplicate has an open transfer; complete or cancel it before merging');
+  }
+
+  const filled = MERGE_FIELDS.filter(field => isBlank(staff.get(field)) && !isBlank(duplicate.get(field)));
+  filled.forEach(field => staff.set(field, duplicate.get(field)));
+  if (!(staff.photo && staff.photo.storageKey) && duplicate.photo && duplicate.photo.storageKey) {
+    staff.photo = duplicate.photo.toObject();
+    duplicate.photo = undefined;
+    filled.push('photo');
+  }
+
+  // The kept record's entitlements win where both set the same leave
+  const keptEntitlements = await LeaveEntitlement.find({ staffId: staff._id }).select('year leaveType');
+  const taken = new Set(keptEntitlements.map(entitlement => `${entitlement.year}:${entitlement.leaveType}`));
+  const duplicateEntitlements = await LeaveEntitlement.find({ staffId: duplicate._id }).select('year leaveType');
+  const overridden = duplicateEntitlements
+    .filter(entitlement => taken.has(`${entitlement.year}:${entitlement.leaveType}`))
+    .map(entitlement => entitlement._id);
+  await LeaveEntitlement.deleteMany({ _id: { $in: overridden } });
+
+  const moveTo = { $set: { staffId: staff._id } };
+  const [transfers, leaveRequests, leaveEntitlements, documents, qualifications] = await Promise.all([
+    Transfer.updateMany({ staffId: duplicate._id }, moveTo),
+    LeaveRequest.updateMany({ staffId: duplicate._id }, moveTo),
+    LeaveEntitlement.updateMany({ staffId: duplicate._id }, moveTo),
+    StaffDocument.updateMany({ staffId: duplicate._id }, moveTo),
+    StaffQualification.updateMany({ staffId: duplicate._id }, moveTo)
+  ]);
+  const moved = {
+    employmentEvents: await EmploymentEvent.reassignStaff(duplicate._id, staff._id),
+    salaryRecords: await SalaryRecord.reassignStaff(duplicate._id, staff._id),
+    transfers: transfers.modifiedCount,
+    leaveRequests: leaveRequests.modifiedCount,
+    leaveEntitlements: leaveEntitlements.modifiedCount,
+    documents: documents.modifiedCount,
+    qualifications: qualifications.modifiedCount
+  };
+
+  duplicate.mergedInto = staff._id;
+  await duplicate.softDelete({ deletedBy: mergedBy, deletedByName: mergedByName });
+
+  // The combined history decides the current status and salary
+  await staff.syncSalary();
+  await staff.syncEmploymentStatus();
+
+  return { filled, moved };
+};
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  MergeError,
+  scoreMatch,
+  createMatcher,
+  findDuplicates,
+  findDuplicatePairs,
+  summarizeDuplicate,
+  mergeStaff
+};
@@ -0,0 +1,376 @@
+// Reading staff import files (CSV or XLSX), mapping their columns to staff
+// fields, and inserting the validated rows
+const path = require('path');
+const ExcelJS = require('exceljs');
+const Court = require('../models/Court');
+const Position = require('../models/Position');
+const Staff = require('../models/Staff');
+const EmploymentEvent = require('../models/EmploymentEvent');
+const SalaryRecord = require('../models/SalaryRecord');
+const StaffImport = require('../models/StaffImport');
+
+const MAX_ROWS = parseInt(process.env.STAFF_IMPORT_MAX_ROWS, 10) || 5000;
+// Row errors kept on the import record
+const MAX_STORED_ERRORS = 1000;
+
+// Staff fields that can be imported, with other column names they are
+// recognised by when no mapping is given
+const IMPORT_FIELDS = {
+  name: ['full name', 'staff name', 'employee name'],
+  position: ['job title', 'title', 'role'],
+  courtName: ['court', 'court name'],
+  courtId: [],
+  courtType: [],
+  phone: ['telephone', 'phone number', 'mobile'],
+  email: ['email address', 'e-mail'],
+  nationalId: ['national id', 'national id number', 'id number'],
+  education: ['qualification', 'highest education'],
+  employmentStatus: ['status'],
+  hireDate: ['date hired', 'start date', 'date of hire'],
+  salary: [],
+  department: ['section', 'unit'],
+  supervisor: ['manager', 'reports to'],
+  notes: ['comments'],
+  'emergencyContact.name': ['emergency contact', 'emergency contact name'],
+  'emergencyContact.relationship': ['emergency contact relationship'],
+  'emergencyContact.phone': ['emergency contact phone', 'emergency phone'],
+  'address.street': ['street', 'address'],
+  'address.city': ['city', 'town'],
+  'address.state': ['state', 'region'],
+  'address.zipCode': ['zip', 'zip code', 'postal code', 'postcode'],
+  retirementDate: [],
+  dismissalDate: [],
+  leaveStartDate: [],
+  leaveEndDate: []
+};
+
+// Fields that must be mapped for rows to be valid
+const REQUIRED_FIELDS = ['name', 'position'];
+
+class ImportFileError extends Error {}
+
+const normalizeHeader = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Parse CSV text into rows of cells. Handles quoted cells containing
+// commas, quotes and line breaks.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new ImportFileError('The CSV file has an unterminated quoted value');
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.map((cells, index) => ({ rowNumber: index + 1, cells }));
+};
+
+// Plain value of an XLSX cell
+const cellText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    if (value.richText) {
+      return value.richText.map(part => part.text).join('');
+    }
+    if (value.text !== undefined) {
+      return cellText(value.text);
+    }
+    if (value.result !== undefined) {
+      return cellText(value.result);
+    }
+    return '';
+  }
+  return String(value);
+};
+
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new ImportFileError('The file is not a valid XLSX workbook');
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return [];
+  }
+
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    // row.values is 1-based
+    rows.push({ rowNumber, cells: row.values.slice(1).map(cellText) });
+  });
+  return rows;
+};
+
+// Read an uploaded file into a header row and data rows
+const readImportFile = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  let format;
+  if (extension === '.csv' || file.mimetype === 'text/csv') {
+    format = 'csv';
+  } else if (extension === '.xlsx' ||
+      file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    format = 'xlsx';
+  } else {
+    throw new ImportFileError('Only CSV and XLSX files can be imported');
+  }
+
+  const rows = format === 'csv'
+    ? parseCsv(file.buffer.toString('utf8'))
+    : await parseXlsx(file.buffer);
+
+  const nonEmpty = rows.filter(row => row.cells.some(cell => String(cell).trim() !== ''));
+  if (nonEmpty.length < 2) {
+    throw new ImportFileError('The file needs a header row and at least one data row');
+  }
+  if (nonEmpty.length - 1 > MAX_ROWS) {
+    throw new ImportFileError(`Imports are limited to ${MAX_ROWS} rows`);
+  }
+
+  const [headerRow, ...dataRows] = nonEmpty;
+  return {
+    format,
+    headers: headerRow.cells.map(cell => String(cell).trim()),
+    rows: dataRows
+  };
+};
+
+// Work out which column feeds which staff field, from the given mapping
+// (source column name to field) or else from the column names.
+// Returns the column mapping and any problems with it.
+const buildColumnMapping = (headers, mapping = null) => {
+  const columns = [];
+  const problems = [];
+
+  if (mapping) {
+    Object.keys(mapping).forEach(header => {
+      const field = mapping[header];
+      const index = headers.findIndex(candidate => candidate === header);
+      if (index === -1) {
+        problems.push(`Mapped column "${header}" is not in the file`);
+      } else if (!IMPORT_FIELDS[field]) {
+        problems.push(`Column "${header}" is mapped to unknown field "${field}"`);
+      } else {
+        columns.push({ index, header, field });
+      }
+    });
+  } else {
+    const lookup = new Map();
+    Object.keys(IMPORT_FIELDS).forEach(field => {
+      lookup.set(normalizeHeader(field), field);
+      IMPORT_FIELDS[field].forEach(alias => lookup.set(normalizeHeader(alias), field));
+    });
+    headers.forEach((header, index) => {
+      const field = lookup.get(normalizeHeader(header));
+      if (field) {
+        columns.push({ index, header, field });
+      }
+    });
+  }
+
+  const mappedFields = columns.map(column => column.field);
+  mappedFields
+    .filter((field, index) => mappedFields.indexOf(field) !== index)
+    .forEach(field => problems.push(`More than one column is mapped to "${field}"`));
+  REQUIRED_FIELDS
+    .filter(field => !mappedFields.includes(field))
+    .forEach(field => problems.push(`No column is mapped to "${field}"`));
+  if (!mappedFields.includes('courtName') && !mappedFields.includes('courtId')) {
+    problems.push('No column is mapped to "courtName" or "courtId"');
+  }
+
+  return {
+    columns,
+    unmappedColumns: headers.filter((header, index) => header && !columns.some(column => column.index === index)),
+    problems
+  };
+};
+
+// Turn a data row into staff data using the column mapping. Dotted fields
+// become nested objects; empty cells are left out.
+const rowToRecord = (row, columns) => {
+  const data = {};
+  columns.forEach(({ index, field }) => {
+    const value = String(row.cells[index] === undefined ? '' : row.cells[index]).trim();
+    if (value === '') {
+      return;
+    }
+
+    const [parent, child] = field.split('.');
+    if (child) {
+      data[parent] = data[parent] || {};
+      data[parent][child] = value;
+    } else {
+      data[field] = value;
+    }
+  });
+  return { rowNumber: row.rowNumber, data };
+};
+
+// Load the active courts, for resolving court names in rows
+const loadCourtLookup = async () => {
+  const courts = await Court.find({ isActive: true }).select('name type');
+  return {
+    byName: new Map(courts.map(court => [court.name.trim().toLowerCase(), court])),
+    byId: new Map(courts.map(court => [court._id.toString(), court]))
+  };
+};
+
+// Load the active catalog positions, for resolving position titles in rows
+const loadPositions = () => Position.find({ isActive: true });
+
+// Set positionId and the catalog title from the row's position title, code
+// or alias. Run after resolveCourt. Returns a list of row errors.
+const resolvePosition = async (data, positions) => {
+  if (!data.position) {
+    return [{ field: 'position', message: 'Position is required' }];
+  }
+
+  const position = await Position.findByTitle(data.position, positions);
+  if (!position) {
+    return [{ field: 'position', message: `Unknown position "${data.position}"` }];
+  }
+  if (data.courtType && !position.appliesTo(data.courtType)) {
+    return [{ field: 'position', message: `Position "${position.title}" does not apply to ${data.courtType} courts` }];
+  }
+
+  data.positionId = position._id.toString();
+  data.position = position.title;
+  return [];
+};
+
+// Set courtId and courtType from the row's court name or ID.
+// Returns a list of row errors.
+const resolveCourt = (data, courtLookup) => {
+  let court = null;
+  if (data.courtId) {
+    court = courtLookup.byId.get(String(data.courtId));
+    if (!court) {
+      return [{ field: 'courtId', message: `Unknown court ID "${data.courtId}"` }];
+    }
+  } else if (data.courtName) {
+    court = courtLookup.byName.get(String(data.courtName).trim().toLowerCase());
+    if (!court) {
+      return [{ field: 'courtName', message: `Unknown court "${data.courtName}"` }];
+    }
+  } else {
+    return [{ field: 'courtName', message: 'Court is required' }];
+  }
+
+  if (data.courtType && data.courtType !== court.type) {
+    return [{ field: 'courtType', message: `Court "${court.name}" is a ${court.type} court` }];
+  }
+
+  delete data.courtName;
+  data.courtId = court._id.toString();
+  data.courtType = court.type;
+  return [];
+};
+
+// Remove staff inserted by an import, with their history, and take them
+// off the import record
+const removeStaff = async (importId, ids) => {
+  await Staff.deleteMany({ _id: { $in: ids } });
+  await EmploymentEvent.deleteMany({ staffId: { $in: ids } });
+  await SalaryRecord.deleteMany({ staffId: { $in: ids } });
+  await StaffImport.updateOne({ _id: importId }, { $pull: { importedStaffIds: { $in: ids } } });
+};
+
+// Insert validated staff documents and their initial employment and salary
+// history. A row whose history cannot be saved is removed again, and with
+// atomic set a failure part-way removes everything inserted so far. Each
+// staff ID is added to the import record before its row is saved, so rows
+// left behind by an interrupted import or a failed removal can be found.
+// Returns the inserted documents and the rows that failed.
+const insertStaff = async (entries, { atomic, recorder, importId }) => {
+  const inserted = [];
+  const failures = [];
+
+  for (const { rowNumber, staff } of entries) {
+    await StaffImport.updateOne({ _id: importId }, { $push: { importedStaffIds: staff._id } });
+    try {
+      await staff.save();
+      await EmploymentEvent.create({
+        ...EmploymentEvent.initialEventFor(staff),
+        reason: 'Staff member imported',
+        ...recorder
+      });
+      if (staff.salary !== undefined && staff.salary !== null) {
+        await staff.updateSalary({
+          amount: staff.salary,
+          effectiveDate: staff.hireDate,
+          reason: 'Starting salary (imported)',
+          approvedBy: recorder.recordedBy,
+          approvedByName: recorder.recordedByName
+        });
+      }
+      inserted.push(staff);
+    } catch (error) {
+      failures.push({ row: rowNumber, field: null, message: error.message });
+      if (atomic) {
+        await removeStaff(importId, [...inserted.map(doc => doc._id), staff._id]);
+        return { inserted: [], failures, rolledBack: true };
+      }
+      await removeStaff(importId, [staff._id]);
+    }
+  }
+
+  return { inserted, failures, rolledBack: false };
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  MAX_STORED_ERRORS,
+  ImportFileError,
+  readImportFile,
+  buildColumnMapping,
+  rowToRecord,
+  loadCourtLookup,
+  resolveCourt,
+  loadPositions,
+  resolvePosition,
+  insertStaff
+};
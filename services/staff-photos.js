@@ -0,0 +1,94 @@
+// Staff photos: checking uploaded images, resizing them for display and
+// thumbnails, and keeping the files in document storage
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { storeFile, removeStoredFile } = require('./document-storage');
+
+const PHOTO_MAX_FILE_SIZE = (parseInt(process.env.PHOTO_MAX_FILE_SIZE_MB, 10) || 5) * 1024 * 1024;
+const PHOTO_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+// Image formats accepted, as detected from the file contents
+const PHOTO_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Photos are stored at most this size; thumbnails are cropped squares
+const PHOTO_MAX_DIMENSION = 800;
+const THUMBNAIL_SIZE = 160;
+// Larger images are refused rather than decoded
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+class PhotoError extends Error {}
+
+const readImage = (buffer) => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS });
+
+// Resize an uploaded image into a photo and a thumbnail, both JPEG.
+// Orientation from EXIF data is applied and the metadata dropped.
+const processPhoto = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await readImage(buffer).metadata();
+  } catch (error) {
+    throw new PhotoError('The file is not a readable image');
+  }
+  if (!PHOTO_FORMATS.includes(metadata.format)) {
+    throw new PhotoError('Photos must be JPEG, PNG or WebP images');
+  }
+  if (metadata.width * metadata.height > MAX_INPUT_PIXELS) {
+    throw new PhotoError('The image dimensions are too large');
+  }
+
+  const [photo, thumbnail] = await Promise.all([
+    readImage(buffer)
+      .rotate()
+      .resize(PHOTO_MAX_DIMENSION, PHOTO_MAX_DIMENSION, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 85 })
+      .toBuffer({ resolveWithObject: true }),
+    readImage(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover', position: 'attention' })
+      .jpeg({ quality: 80 })
+      .toBuffer()
+  ]);
+
+  return { photo: photo.data, width: photo.info.width, height: photo.info.height, thumbnail };
+};
+
+// Process and store a staff member's photo. Returns the data for
+// Staff.photo.
+const storePhoto = async (staffId, buffer) => {
+  const { photo, width, height, thumbnail } = await processPhoto(buffer);
+
+  const name = `${staffId}/photo-${crypto.randomUUID()}`;
+  const storedPhoto = await storeFile(`${name}.jpg`, photo);
+  let storedThumbnail;
+  try {
+    storedThumbnail = await storeFile(`${name}-thumb.jpg`, thumbnail);
+  } catch (error) {
+    await removeStoredFile(storedPhoto);
+    throw error;
+  }
+
+  return {
+    storage: storedPhoto.storage,
+    storageKey: storedPhoto.storageKey,
+    thumbnailKey: storedThumbnail.storageKey,
+    mimeType: 'image/jpeg',
+    size: photo.length,
+    width,
+    height,
+    checksum: storedPhoto.checksum,
+    thumbnailChecksum: storedThumbnail.checksum
+  };
+};
+
+// Remove the stored files of a staff photo
+const removePhoto = async (photo) => {
+  await removeStoredFile({ storage: photo.storage, storageKey: photo.storageKey });
+  await removeStoredFile({ storage: photo.storage, storageKey: photo.thumbnailKey });
+};
+
+module.exports = {
+  PHOTO_MAX_FILE_SIZE,
+  PHOTO_MIME_TYPES,
+  PhotoError,
+  storePhoto,
+  removePhoto
+};
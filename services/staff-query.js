@@ -0,0 +1,185 @@
+// Shared query engine for staff listings: filters, sorting and pagination
+const mongoose = require('mongoose');
+const Staff = require('../models/Staff');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 200;
+
+// Fields that can be sorted on; each is backed by an index on Staff
+const SORT_FIELDS = [
+  'name',
+  'email',
+  'position',
+  'department',
+  'employmentStatus',
+  'courtId',
+  'hireDate',
+  'createdAt'
+];
+const DATE_FIELDS = ['hireDate', 'createdAt'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a comma-separated query value into a list
+const toList = (value) => {
+  return [].concat(value)
+    .join(',')
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean);
+};
+
+// Parse "field" or "-field" into a sort field and direction
+const parseSort = (sort) => {
+  const value = sort || 'name';
+  const direction = value.startsWith('-') ? -1 : 1;
+  return { field: value.replace(/^-/, ''), direction };
+};
+
+// Cursors are opaque to clients: the sort value and _id of the last item
+const encodeCursor = (staff, field) => {
+  let value = staff[field];
+  if (value === undefined) {
+    value = null;
+  } else if (field === 'courtId') {
+    // courtId is populated in listings
+    value = String(value._id || value);
+  }
+  return Buffer.from(JSON.stringify({ v: value, id: String(staff._id) })).toString('base64url');
+};
+
+// Decode a cursor for a sort field. Returns null if it is malformed.
+const decodeCursor = (cursor, field) => {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    let value = v;
+    if (value !== null && DATE_FIELDS.includes(field)) {
+      value = new Date(value);
+      if (isNaN(value.getTime())) {
+        return null;
+      }
+    } else if (value !== null && field === 'courtId') {
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        return null;
+      }
+      value = new mongoose.Types.ObjectId(value);
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Condition selecting the items after a cursor. Missing values sort first
+// in ascending order and last in descending order.
+const afterCursor = ({ value, id }, field, direction) => {
+  const after = direction === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: null, _id: { [after]: id } }, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { [after]: id } };
+  }
+
+  const conditions = [
+    { [field]: { [after]: value } },
+    { [field]: value, _id: { [after]: id } }
+  ];
+  if (direction === -1) {
+    conditions.push({ [field]: null });
+  }
+  return { $or: conditions };
+};
+
+// Build filter conditions from listing query parameters
+const buildStaffConditions = (query) => {
+  const conditions = [];
+
+  if (query.employmentStatus) {
+    conditions.push({ employmentStatus: { $in: toList(query.employmentStatus) } });
+  }
+  if (query.courtId) {
+    const courtIds = toList(query.courtId).map(id => new mongoose.Types.ObjectId(id));
+    conditions.push({ courtId: { $in: courtIds } });
+  }
+  if (query.courtType) {
+    conditions.push({ courtType: query.courtType });
+  }
+  if (query.positionId) {
+    const positionIds = toList(query.positionId).map(id => new mongoose.Types.ObjectId(id));
+    conditions.push({ positionId: { $in: positionIds } });
+  }
+
+  // Text fields match whole values, ignoring case
+  ['position', 'department', 'education'].forEach(field => {
+    if (query[field]) {
+      conditions.push({ [field]: new RegExp(`^${escapeRegex(String(query[field]).trim())}$`, 'i') });
+    }
+  });
+
+  if (query.hiredFrom || query.hiredTo) {
+    const range = {};
+    if (query.hiredFrom) range.$gte = new Date(query.hiredFrom);
+    if (query.hiredTo) range.$lte = new Date(query.hiredTo);
+    conditions.push({ hireDate: range });
+  }
+
+  return conditions;
+};
+
+// Find one page of staff matching all the given conditions.
+// Pass either a page number (offset pagination) or a cursor from a
+// previous response (keyset pagination); the cursor wins if both are set.
+const findStaffPage = async (conditions, { sort, page, limit, cursor } = {}) => {
+  const { field, direction } = parseSort(sort);
+  const pageSize = Math.min(parseInt(limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+  const filter = conditions.length > 0 ? { $and: conditions } : {};
+  const decoded = cursor ? decodeCursor(cursor, field) : null;
+  const pageFilter = decoded
+    ? { $and: [...conditions, afterCursor(decoded, field, direction)] }
+    : filter;
+
+  let listQuery = Staff.find(pageFilter)
+    .populate('courtId', 'name type')
+    .sort({ [field]: direction, _id: direction })
+    .limit(pageSize + 1);
+  if (!decoded) {
+    listQuery = listQuery.skip((pageNumber - 1) * pageSize);
+  }
+
+  const [items, total] = await Promise.all([
+    listQuery,
+    Staff.countDocuments(filter)
+  ]);
+
+  const hasMore = items.length > pageSize;
+  const staff = hasMore ? items.slice(0, pageSize) : items;
+
+  return {
+    staff,
+    pagination: {
+      total,
+      limit: pageSize,
+      page: decoded ? null : pageNumber,
+      pages: Math.ceil(total / pageSize),
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(staff[staff.length - 1], field) : null
+    }
+  };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  MAX_LIMIT,
+  buildStaffConditions,
+  findStaffPage,
+  decodeCursor,
+  parseSort
+};
@@ -0,0 +1,248 @@
+// Fuzzy staff search: Mongo text search plus prefix, phone-fragment and
+// trigram matching, ranked and highlighted in memory
+const Staff = require('../models/Staff');
+
+// Searched fields and how much a match in each counts towards the rank
+const FIELD_WEIGHTS = {
+  name: 3,
+  email: 2,
+  phone: 2,
+  position: 1,
+  department: 1,
+  supervisor: 1
+};
+const SEARCH_FIELDS = Object.keys(FIELD_WEIGHTS);
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const CANDIDATE_LIMIT = 200;
+// Minimum trigram similarity for a word to count as a fuzzy match
+const MIN_SIMILARITY = 0.25;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const tokenize = (q) => {
+  return [...new Set(String(q).toLowerCase().split(/\s+/).filter(Boolean))].slice(0, 10);
+};
+
+const trigrams = (word) => {
+  const padded = `  ${word} `;
+  const result = new Set();
+  for (let i = 0; i < padded.length - 2; i++) {
+    result.add(padded.slice(i, i + 3));
+  }
+  return result;
+};
+
+const similarity = (a, b) => {
+  const left = trigrams(a);
+  const right = trigrams(b);
+  let shared = 0;
+  left.forEach(trigram => {
+    if (right.has(trigram)) shared++;
+  });
+  return shared / (left.size + right.size - shared);
+};
+
+// Regex matching a phone number containing the digits of a term, whatever
+// separators the stored number uses
+const phonePattern = (digits) => digits.split('').join('\\D*');
+
+// Build the query for candidates that the text index would miss:
+// word prefixes, phone fragments and words sharing a trigram with a term
+const buildCandidateFilter = (terms) => {
+  const conditions = [];
+
+  terms.forEach(term => {
+    const prefix = new RegExp(`(^|[^a-z0-9])${escapeRegex(term)}`, 'i');
+    SEARCH_FIELDS.forEach(field => conditions.push({ [field]: prefix }));
+
+    const digits = term.replace(/\D/g, '');
+    if (digits.length >= 3) {
+      conditions.push({ phone: new RegExp(phonePattern(digits)) });
+    }
+
+    if (term.length >= 4) {
+      const inner = [...trigrams(term)].filter(trigram => !trigram.includes(' '));
+      const fuzzy = new RegExp(inner.map(escapeRegex).join('|'), 'i');
+      ['name', 'email', 'supervisor'].forEach(field => conditions.push({ [field]: fuzzy }));
+    }
+  });
+
+  return { $or: conditions };
+};
+
+// Score one term against one field value. Returns the score (0 to 1) and
+// the matched character range, or null if the term does not match.
+const matchTerm = (term, field, value) => {
+  const lowered = value.toLowerCase();
+
+  if (lowered === term) {
+    return { score: 1, start: 0, end: value.length };
+  }
+
+  const prefix = new RegExp(`(^|[^a-z0-9])${escapeRegex(term)}`).exec(lowered);
+  if (prefix) {
+    const start = prefix.index + prefix[1].length;
+    return { score: 0.8, start, end: start + term.length };
+  }
+
+  const index = lowered.indexOf(term);
+  if (index !== -1) {
+    return { score: 0.5, start: index, end: index + term.length };
+  }
+
+  const digits = term.replace(/\D/g, '');
+  if (field === 'phone' && digits.length >= 3) {
+    const phone = new RegExp(phonePattern(digits)).exec(value);
+    if (phone) {
+      return { score: 0.7, start: phone.index, end: phone.index + phone[0].length };
+    }
+  }
+
+  if (term.length >= 4) {
+    let best = null;
+    const words = /[a-z0-9]+/g;
+    let word;
+    while ((word = words.exec(lowered)) !== null) {
+      const score = similarity(term, word[0]);
+      if (score >= MIN_SIMILARITY && (!best || score > best.score)) {
+        best = { score, start: word.index, end: word.index + word[0].length };
+      }
+    }
+    if (best) {
+      return { ...best, score: best.score * 0.6 };
+    }
+  }
+
+  return null;
+};
+
+// Wrap the matched ranges of a value in <mark> tags, escaping the rest
+const highlight = (value, ranges) => {
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const merged = [];
+  sorted.forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ start: range.start, end: range.end });
+    }
+  });
+
+  let result = '';
+  let position = 0;
+  merged.forEach(({ start, end }) => {
+    result += escapeHtml(value.slice(position, start));
+    result += `<mark>${escapeHtml(value.slice(start, end))}</mark>`;
+    position = end;
+  });
+  result += escapeHtml(value.slice(position));
+
+  return { ranges: merged, highlighted: result };
+};
+
+// Rank a candidate against the search terms. Returns null if no term matches.
+const rankCandidate = (staff, terms, textScore) => {
+  let score = textScore ? Math.min(textScore, 10) / 10 : 0;
+  let matchedTerms = 0;
+  const rangesByField = {};
+
+  terms.forEach(term => {
+    let best = 0;
+    SEARCH_FIELDS.forEach(field => {
+      const value = staff[field];
+      if (!value) {
+        return;
+      }
+
+      const match = matchTerm(term, field, String(value));
+      if (match) {
+        (rangesByField[field] = rangesByField[field] || []).push(match);
+        best = Math.max(best, match.score * FIELD_WEIGHTS[field]);
+      }
+    });
+
+    if (best > 0) {
+      matchedTerms++;
+      score += best;
+    }
+  });
+
+  if (matchedTerms === 0 && !textScore) {
+    return null;
+  }
+
+  // Results matching every term rank above partial matches
+  if (matchedTerms === terms.length) {
+    score *= 1.5;
+  }
+
+  return {
+    score: Math.round(score * 1000) / 1000,
+    highlights: Object.keys(rangesByField).map(field => ({
+      field,
+      value: String(staff[field]),
+      ...highlight(String(staff[field]), rangesByField[field])
+    }))
+  };
+};
+
+// Search staff within the given scope filter. Returns ranked results,
+// each with the staff document, its score and highlighted matches.
+const searchStaff = async (q, scopeFilter = {}, { limit } = {}) => {
+  const terms = tokenize(q);
+  if (terms.length === 0) {
+    return [];
+  }
+  const resultLimit = Math.min(parseInt(limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+  const [textMatches, candidates] = await Promise.all([
+    Staff.find({ ...scopeFilter, $text: { $search: terms.join(' ') } }, { score: { $meta: 'textScore' } })
+      .populate('courtId', 'name type')
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(CANDIDATE_LIMIT),
+    Staff.find({ $and: [scopeFilter, buildCandidateFilter(terms)] })
+      .populate('courtId', 'name type')
+      .limit(CANDIDATE_LIMIT)
+  ]);
+
+  const textScores = new Map();
+  const byId = new Map();
+  textMatches.forEach(staff => {
+    textScores.set(String(staff._id), staff.get('score'));
+    byId.set(String(staff._id), staff);
+  });
+  candidates.forEach(staff => {
+    if (!byId.has(String(staff._id))) {
+      byId.set(String(staff._id), staff);
+    }
+  });
+
+  const results = [];
+  byId.forEach((staff, id) => {
+    const ranked = rankCandidate(staff, terms, textScores.get(id));
+    if (ranked) {
+      results.push({ staff, ...ranked });
+    }
+  });
+
+  return results
+    .sort((a, b) => b.score - a.score || a.staff.name.localeCompare(b.staff.name))
+    .slice(0, resultLimit);
+};
+
+module.exports = {
+  MAX_LIMIT,
+  similarity,
+  phonePattern,
+  searchStaff
+};
@@ -0,0 +1,160 @@
+// Access and refresh token handling for user sessions
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const CHALLENGE_TOKEN_TTL = '5m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+
+// Hash a refresh token secret for storage
+const hashToken = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+// Refresh tokens have the form "<sessionId>.<secret>"
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') {
+    return null;
+  }
+
+  const [sessionId, secret] = refreshToken.split('.');
+  if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+    return null;
+  }
+
+  return { sessionId, secret };
+};
+
+// Sign a short-lived access token bound to a session
+const signAccessToken = (user, session) => {
+  return jwt.sign(
+    {
+      userId: user._id,
+      username: user.username,
+      role: user.role,
+      sessionId: session._id
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+// Generate a new refresh token secret for a session
+const assignRefreshToken = (session) => {
+  const secret = crypto.randomBytes(48).toString('hex');
+  session.refreshTokenHash = hashToken(secret);
+  return `${session._id}.${secret}`;
+};
+
+const buildTokenResponse = (user, session, refreshToken) => {
+  return {
+    token: signAccessToken(user, session),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshExpiresAt: session.expiresAt
+  };
+};
+
+// Start a new session for a user and issue its tokens
+const issueSession = async (user, req) => {
+  const session = new Session({
+    userId: user._id,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    userAgent: req.get('user-agent'),
+    ipAddress: req.ip
+  });
+  const refreshToken = assignRefreshToken(session);
+  await session.save();
+
+  return buildTokenResponse(user, session, refreshToken);
+};
+
+// Exchange a refresh token for a new token pair. The presented token is
+// invalidated; presenting it again revokes the whole session, since that
+// means the token was copied. The token is swapped only if it is still the
+// session's current one, so of two refreshes with the same token only one
+// wins and the other counts as reuse.
+const rotateRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return null;
+  }
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session || !session.isActive()) {
+    return null;
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+  if (session.refreshTokenHash !== presentedHash) {
+    await session.revoke('refresh_token_reuse');
+    return null;
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || !user.isActive) {
+    await session.revoke('user_inactive');
+    return null;
+  }
+
+  const newRefreshToken = assignRefreshToken(session);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    { $set: { refreshTokenHash: session.refreshTokenHash, lastUsedAt: new Date() } },
+    { new: true }
+  );
+  if (!rotated) {
+    await Session.updateOne(
+      { _id: session._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' }
+    );
+    return null;
+  }
+
+  return {
+    user,
+    tokens: buildTokenResponse(user, rotated, newRefreshToken)
+  };
+};
+
+// Sign a short-lived token proving the password step of a login succeeded.
+// It carries no session, so authenticateToken never accepts it.
+const signChallengeToken = (user, purpose) => {
+  return jwt.sign(
+    { userId: user._id, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_TTL }
+  );
+};
+
+// Verify a challenge token for the given purpose. Returns the decoded
+// payload, or null if the token is invalid, expired or for another purpose.
+const verifyChallengeToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Check that the session behind an access token is still usable
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  const session = await Session.findById(sessionId);
+  return !!session && session.isActive();
+};
+
+module.exports = {
+  issueSession,
+  rotateRefreshToken,
+  isSessionActive,
+  signChallengeToken,
+  verifyChallengeToken,
+  parseRefreshToken
+};
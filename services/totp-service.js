@@ -0,0 +1,135 @@
+// Time-based one-time passwords (RFC 6238) and recovery codes
+const crypto = require('crypto');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'Judiciary Staff Management';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept codes from one step either side to allow for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+// HMAC-based one-time password for a counter (RFC 4226)
+const generateHotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return code.toString().padStart(DIGITS, '0');
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// URI that authenticator apps import, usually through a QR code
+const buildOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Check a code against a secret. Returns the matching time step, or null.
+// Steps at or before lastUsedStep are refused so a code cannot be replayed.
+const verifyCode = (secret, code, lastUsedStep = null) => {
+  if (!secret || !/^\d{6}$/.test(String(code || ''))) {
+    return null;
+  }
+
+  const step = currentStep();
+  for (let offset = -DRIFT_STEPS; offset <= DRIFT_STEPS; offset++) {
+    const candidateStep = step + offset;
+    if (lastUsedStep !== null && lastUsedStep !== undefined && candidateStep <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = Buffer.from(generateHotp(secret, candidateStep));
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return candidateStep;
+    }
+  }
+
+  return null;
+};
+
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+};
+
+// Generate single-use recovery codes. The plain codes are shown to the user
+// once; only the hashes are stored.
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(8).toString('hex');
+    codes.push(raw.match(/.{4}/g).join('-'));
+  }
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode)
+  };
+};
+
+module.exports = {
+  generateSecret,
+  buildOtpauthUri,
+  verifyCode,
+  generateHotp,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};